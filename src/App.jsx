@@ -3,9 +3,18 @@ import { DndContext, closestCenter } from "@dnd-kit/core";
 import { SortableContext, arrayMove, useSortable, verticalListSortingStrategy } from "@dnd-kit/sortable";
 import { CSS } from "@dnd-kit/utilities";
 import Papa from "papaparse";
+import { kml as kmlToGeoJSON } from "@tmcw/togeojson";
+import JSZip from "jszip";
+import shp from "shpjs";
+import proj4 from "proj4";
+import ExcelJS from "exceljs";
 import * as turf from "@turf/turf";
-import { addDays, format, parseISO, isValid, areIntervalsOverlapping } from "date-fns";
-import { Download, Calendar, GripVertical, Save, Trash2, Plus, Copy as CopyIcon, Folder, FileText, ChevronRight, ChevronDown } from "lucide-react";
+import L from "leaflet";
+import "leaflet/dist/leaflet.css";
+import "leaflet-polylinedecorator";
+import { MapContainer, TileLayer, GeoJSON, Polyline, Marker, useMap } from "react-leaflet";
+import { addDays, format, parseISO, isValid, areIntervalsOverlapping, differenceInCalendarDays } from "date-fns";
+import { Download, Calendar, GripVertical, Save, Trash2, Plus, Copy as CopyIcon, Folder, FileText, ChevronRight, ChevronDown, Pin, PinOff, Undo2, Redo2, Star, Lock } from "lucide-react";
 
 // === Namespace per app (separates data across repos on the same domain) ===
 const APP_ID = (import.meta?.env?.BASE_URL || '/')
@@ -14,23 +23,88 @@ const APP_ID = (import.meta?.env?.BASE_URL || '/')
 const key = (k) => `${APP_ID}:${k}`;    // helper to prefix keys
 
 /* ---------------- LocalStorage keys ---------------- */
-const LS_KEYS = {
-  PREV_PLANNED: key("prevPlannedADA_byPasture"),
-  PREV_ACTUAL: key("prevActualADA_byPasture"),
-  LAST_PLAN: key("lastPlan_rows"),
-  START_DATE: key("startDate"),
-
-  // drafts system (adjust names to match your code)
-  DRAFTS_FS:    key("drafts_fs"),        // the “Year → Draft n” tree
-  FINAL_BY_YEAR:key("final_by_year"),    // optional: chosen finals per year
+// shared by every operation (ranch / allotment)
+const GLOBAL_KEYS = {
+  OPERATIONS:   key("operations"),         // [{ id, name }]
+  CURRENT_OP:   key("current_operation"),
+  SCHEMA:       key("schema_version"),     // version of the data stored under these keys
 };
 
+// the first operation keeps the original un-prefixed keys, so existing data stays where it was
+const DEFAULT_OP_ID = "default";
+const DEFAULT_OPERATIONS = [{ id: DEFAULT_OP_ID, name: "Main operation" }];
+
+function operationKeys(opId) {
+  const k = (name) => key(opId === DEFAULT_OP_ID ? name : `op:${opId}:${name}`);
+  return {
+    PREV_PLANNED: k("prevPlannedADA_byPasture"),
+    PREV_ACTUAL: k("prevActualADA_byPasture"),
+    LAST_PLAN: k("lastPlan_rows"),
+    START_DATE: k("startDate"),
+
+    // drafts system (adjust names to match your code)
+    DRAFTS_FS:    k("drafts_fs"),        // the “Year → Draft n” tree
+    FINAL_BY_YEAR:k("final_by_year"),    // { year: draftId } – the plan in effect; locked
+
+    BUDGET:       k("forage_budget"),    // { utilization %, seasonLength days }
+    REST:         k("rest_rules"),       // minimum recovery between visits
+    WINDOWS:      k("critical_windows"), // named critical-season windows
+    HERDS:        k("herds"),            // herds with their own sequence + season start
+    AU_CLASSES:   k("au_classes"),       // animal classes and their AU-equivalent factors
+    ADJ_TOLERANCE:k("adjacency_tolerance_m"), // pastures closer than this count as neighbours
+    GEOJSON:      k("pastures_geojson"), // last imported pasture boundaries
+    PASTURES:     k("pasture_registry"), // canonical pasture records that plan rows link to
+    UNMATCHED_EST:k("unmatched_estimates"), // estimates CSV names awaiting reconciliation
+    CSV_MAPPINGS: k("csv_mappings"),  // column mapping per import kind and header layout
+  };
+}
+
+function loadOperations() { try { const o = JSON.parse(localStorage.getItem(GLOBAL_KEYS.OPERATIONS) || "null"); return Array.isArray(o) && o.length ? o : DEFAULT_OPERATIONS; } catch { return DEFAULT_OPERATIONS; } }
+function saveOperations(o) { localStorage.setItem(GLOBAL_KEYS.OPERATIONS, JSON.stringify(o || [])); }
+function loadCurrentOperationId() {
+  const id = localStorage.getItem(GLOBAL_KEYS.CURRENT_OP);
+  return loadOperations().some(o => o.id === id) ? id : loadOperations()[0].id;
+}
+
+function saveCurrentOperationId(opId) { localStorage.setItem(GLOBAL_KEYS.CURRENT_OP, opId); }
+
 function loadDict(k) { try { return JSON.parse(localStorage.getItem(k) || "{}"); } catch { return {}; } }
 function saveDict(k, obj) { localStorage.setItem(k, JSON.stringify(obj || {})); }
-function loadRows() { try { return JSON.parse(localStorage.getItem(LS_KEYS.LAST_PLAN) || "null"); } catch { return null; } }
-function saveRows(rows) { localStorage.setItem(LS_KEYS.LAST_PLAN, JSON.stringify(rows || [])); }
-function loadDrafts() { try { return JSON.parse(localStorage.getItem(LS_KEYS.DRAFTS_FS) || "{}"); } catch { return {}; } }
-function saveDrafts(d) { localStorage.setItem(LS_KEYS.DRAFTS_FS, JSON.stringify(d || {})); }
+function loadRows(keys) { try { return JSON.parse(localStorage.getItem(keys.LAST_PLAN) || "null"); } catch { return null; } }
+function saveRows(keys, rows) { localStorage.setItem(keys.LAST_PLAN, JSON.stringify(rows || [])); }
+function loadDrafts(keys) { try { return JSON.parse(localStorage.getItem(keys.DRAFTS_FS) || "{}"); } catch { return {}; } }
+function saveDrafts(keys, d) { localStorage.setItem(keys.DRAFTS_FS, JSON.stringify(d || {})); }
+function loadFinalByYear(keys) { try { return JSON.parse(localStorage.getItem(keys.FINAL_BY_YEAR) || "{}"); } catch { return {}; } }
+function saveFinalByYear(keys, f) { localStorage.setItem(keys.FINAL_BY_YEAR, JSON.stringify(f || {})); }
+function loadBudget(keys) { try { return { utilization: 40, seasonLength: 0, ...JSON.parse(localStorage.getItem(keys.BUDGET) || "{}") }; } catch { return { utilization: 40, seasonLength: 0 }; } }
+function saveBudget(keys, b) { localStorage.setItem(keys.BUDGET, JSON.stringify(b || {})); }
+const DEFAULT_REST = { defaultDays: 60, byPasture: {}, seasons: [] };
+function loadRestRules(keys) { try { return { ...DEFAULT_REST, ...JSON.parse(localStorage.getItem(keys.REST) || "{}") }; } catch { return { ...DEFAULT_REST }; } }
+function loadWindows(keys) { try { const w = JSON.parse(localStorage.getItem(keys.WINDOWS) || "null"); return Array.isArray(w) ? w : DEFAULT_WINDOWS; } catch { return DEFAULT_WINDOWS; } }
+function loadHerds(keys) { try { const h = JSON.parse(localStorage.getItem(keys.HERDS) || "null"); return Array.isArray(h) && h.length ? h : DEFAULT_HERDS; } catch { return DEFAULT_HERDS; } }
+function loadAUClasses(keys) { try { const c = JSON.parse(localStorage.getItem(keys.AU_CLASSES) || "null"); return Array.isArray(c) && c.length ? c : DEFAULT_AU_CLASSES; } catch { return DEFAULT_AU_CLASSES; } }
+function saveAUClasses(keys, c) { localStorage.setItem(keys.AU_CLASSES, JSON.stringify(c || [])); }
+function saveHerds(keys, h) { localStorage.setItem(keys.HERDS, JSON.stringify(h || [])); }
+function saveWindows(keys, w) { localStorage.setItem(keys.WINDOWS, JSON.stringify(w || [])); }
+function saveRestRules(keys, r) { localStorage.setItem(keys.REST, JSON.stringify(r || DEFAULT_REST)); }
+function loadPastures(keys) { try { const p = JSON.parse(localStorage.getItem(keys.PASTURES) || "null"); return Array.isArray(p) ? p : null; } catch { return null; } }
+function savePastures(keys, p) { localStorage.setItem(keys.PASTURES, JSON.stringify(p || [])); }
+function loadUnmatchedEstimates(keys) { try { return JSON.parse(localStorage.getItem(keys.UNMATCHED_EST) || "{}"); } catch { return {}; } }
+function saveUnmatchedEstimates(keys, u) { localStorage.setItem(keys.UNMATCHED_EST, JSON.stringify(u || {})); }
+function loadCSVMappings(keys) { try { return JSON.parse(localStorage.getItem(keys.CSV_MAPPINGS) || "{}"); } catch { return {}; } }
+function saveCSVMappings(keys, m) { localStorage.setItem(keys.CSV_MAPPINGS, JSON.stringify(m || {})); }
+function loadGeoJSON(keys) { try { return JSON.parse(localStorage.getItem(keys.GEOJSON) || "null"); } catch { return null; } }
+// false when the boundaries exceed the browser's storage quota; the map still works for this session
+function saveGeoJSON(keys, gj) {
+  try {
+    if (gj) localStorage.setItem(keys.GEOJSON, JSON.stringify(gj)); else localStorage.removeItem(keys.GEOJSON);
+    return true;
+  } catch {
+    localStorage.removeItem(keys.GEOJSON); // the previous boundaries must not come back after a reload
+    return false;
+  }
+}
+const GEOJSON_NOT_STORED = "The pasture boundaries are too large for browser storage. They stay on the map until the page is reloaded; import them again after that.";
 
 /* ---------------- Helpers ---------------- */
 const toNum = (v) => {
@@ -39,13 +113,264 @@ const toNum = (v) => {
   return Number.isFinite(n) ? n : 0;
 };
 
-function computeProposedADA(grazingDays, herdSize, acreage) {
+// animal-unit days per acre
+function computeProposedADA(grazingDays, animalUnits, acreage) {
   const g = Math.max(0, toNum(grazingDays));
-  const h = Math.max(0, toNum(herdSize));
+  const h = Math.max(0, toNum(animalUnits));
   const a = Math.max(0.000001, toNum(acreage));
   return +(((g * h) / a).toFixed(2));
 }
 
+// total estimated forage for the year, in animal-days per acre (native + introduced)
+function estimatedADA(row) {
+  return toNum(row?.estNativeADA) + toNum(row?.estPerennialADA);
+}
+
+/* ---------------- Animal units ----------------
+ * A row's herd can be broken down by class (`composition`: { classId: head }). Without a
+ * breakdown the plain head count is treated as 1 AU per head.
+ */
+const DEFAULT_AU_CLASSES = [
+  { id: "cow", label: "Cows", factor: 1.0 },
+  { id: "pair", label: "Cow-calf pairs", factor: 1.32 },
+  { id: "bull", label: "Bulls", factor: 1.35 },
+  { id: "yearling", label: "Yearlings", factor: 0.7 },
+  { id: "horse", label: "Horses", factor: 1.25 },
+];
+
+function hasComposition(row) {
+  return Object.values(row?.composition || {}).some(n => toNum(n) > 0);
+}
+
+function compositionHead(row) {
+  return Object.values(row?.composition || {}).reduce((s, n) => s + Math.max(0, toNum(n)), 0);
+}
+
+function computeAnimalUnits(row, auClasses) {
+  if (!hasComposition(row)) return Math.max(0, toNum(row?.herdSize));
+  const au = Object.entries(row.composition).reduce((s, [cls, n]) => {
+    const c = auClasses.find(x => x.id === cls);
+    return s + Math.max(0, toNum(n)) * (c ? toNum(c.factor) : 1);
+  }, 0);
+  return +au.toFixed(2);
+}
+
+// AUs when recompute() has filled them in, else head count
+const rowAU = (r) => toNum(r.animalUnits ?? r.herdSize);
+
+function compositionLabel(row, auClasses) {
+  return Object.entries(row?.composition || {})
+    .filter(([, n]) => toNum(n) > 0)
+    .map(([cls, n]) => `${auClasses.find(c => c.id === cls)?.label || cls} ${n}`)
+    .join("; ");
+}
+
+/* ---------------- Herds ----------------
+ * Each herd walks its own rows in table order, starting from its own season start
+ * (blank = the plan's Season Start). Rows without a known herd belong to the first one.
+ */
+const DEFAULT_HERDS = [{ id: "herd-1", name: "Main herd", startDate: "", color: "#2563eb" }];
+const HERD_COLORS = ["#2563eb", "#d97706", "#7c3aed", "#059669", "#dc2626", "#0891b2"];
+
+function herdOf(row, herds) {
+  return herds.find(h => h.id === row?.herdId) || herds[0];
+}
+
+// { [rowId]: [{ otherId, herdId }] } — same pasture, different herds, overlapping dates
+function findHerdOverlaps(list) {
+  const out = {};
+  const dated = list.filter(r => !isGap(r) && r.pasture && r.startDate && r.endDate && toNum(r.grazingDays) > 0);
+  for (let i = 0; i < dated.length; i++) {
+    for (let j = i + 1; j < dated.length; j++) {
+      const a = dated[i], b = dated[j];
+      if (a.herdId === b.herdId) continue;
+      if (String(a.pasture).trim().toLowerCase() !== String(b.pasture).trim().toLowerCase()) continue;
+      if (a.startDate > b.endDate || b.startDate > a.endDate) continue;
+      (out[a.id] ||= []).push({ otherId: b.id, herdId: b.herdId });
+      (out[b.id] ||= []).push({ otherId: a.id, herdId: a.herdId });
+    }
+  }
+  return out;
+}
+
+/* ---------------- Forage budget ----------------
+ * Solves grazing days so each pasture's proposed ADA stays at `utilization` % of its
+ * estimated ADA. A pasture listed more than once splits its forage evenly across visits.
+ * Rows without estimates keep the days already typed in. When `seasonLength` is set and
+ * the forage would carry a herd longer than that, that herd's days are scaled back to fit it.
+ */
+function solveForageBudget(list, { utilization, seasonLength }) {
+  const u = Math.min(100, Math.max(0, toNum(utilization))) / 100;
+  const pastureKey = (r) => String(r.pasture || "").trim().toLowerCase();
+
+  const visits = new Map();
+  for (const r of list) {
+    const k = pastureKey(r);
+    if (k && !isGap(r)) visits.set(k, (visits.get(k) || 0) + 1);
+  }
+
+  const perRow = list.map(r => {
+    const k = pastureKey(r);
+    const est = estimatedADA(r);
+    const acres = toNum(r.acreage), herd = rowAU(r);
+    if (isGap(r) || !k || est <= 0 || acres <= 0 || herd <= 0) return { id: r.id, herdId: r.herdId, budgeted: false, maxDays: null };
+    const share = (u * est * acres) / (visits.get(k) || 1);   // AU-days available to this visit
+    return { id: r.id, herdId: r.herdId, budgeted: true, maxDays: share / herd };
+  });
+
+  const days = perRow.map((p, i) => (p.budgeted ? Math.floor(p.maxDays) : Math.max(0, toNum(list[i].grazingDays))));
+  if (toNum(seasonLength) > 0) {
+    for (const herdId of new Set(perRow.map(p => p.herdId))) {
+      const idx = perRow.map((p, i) => i).filter(i => perRow[i].herdId === herdId);
+      const fixedDays = idx.reduce((s, i) => s + (perRow[i].budgeted ? 0 : days[i]), 0);
+      const sumMax = idx.reduce((s, i) => s + (perRow[i].budgeted ? perRow[i].maxDays : 0), 0);
+      const room = Math.max(0, toNum(seasonLength) - fixedDays);
+      if (sumMax <= room) continue;
+
+      // floor, then hand leftover whole days to the largest remainders so the total fits exactly
+      const raw = idx.map(i => (perRow[i].budgeted ? (perRow[i].maxDays * room) / sumMax : 0));
+      idx.forEach((i, n) => { if (perRow[i].budgeted) days[i] = Math.floor(raw[n]); });
+      let spare = Math.round(room) - idx.reduce((s, i) => s + (perRow[i].budgeted ? days[i] : 0), 0);
+      const order = idx.map((i, n) => [raw[n] - Math.floor(raw[n]), i]).filter(([, i]) => perRow[i].budgeted).sort((a, b) => b[0] - a[0]);
+      for (const [, i] of order) { if (spare <= 0) break; days[i] += 1; spare -= 1; }
+    }
+  }
+
+  const suggestedDays = {};
+  perRow.forEach((p, i) => { suggestedDays[p.id] = days[i]; });
+  return { suggestedDays };
+}
+
+// forage left over (+) or short (−) for the days currently entered, per pasture and for the season
+function summarizeForageBudget(list, { utilization, seasonLength }) {
+  const u = Math.min(100, Math.max(0, toNum(utilization))) / 100;
+  const byPasture = new Map();
+  for (const r of list) {
+    if (isGap(r)) continue;
+    const k = String(r.pasture || "").trim().toLowerCase();
+    if (!k) continue;
+    const p = byPasture.get(k) || { pasture: r.pasture, acreage: toNum(r.acreage), targetADA: 0, usedAD: 0, hasEstimate: false };
+    const est = estimatedADA(r);
+    if (est > 0) { p.targetADA = +(u * est).toFixed(2); p.hasEstimate = true; }
+    p.usedAD += Math.max(0, toNum(r.grazingDays)) * Math.max(0, rowAU(r));
+    byPasture.set(k, p);
+  }
+  const pastures = [...byPasture.values()].map(p => {
+    const availableAD = p.targetADA * p.acreage;
+    return {
+      ...p,
+      usedADA: p.acreage > 0 ? +(p.usedAD / p.acreage).toFixed(2) : 0,
+      balanceAD: p.hasEstimate ? Math.round(availableAD - p.usedAD) : null,
+    };
+  });
+  const len = toNum(seasonLength);
+  const daysByHerd = new Map();
+  for (const r of list) daysByHerd.set(r.herdId, (daysByHerd.get(r.herdId) || 0) + Math.max(0, toNum(r.grazingDays)));
+  return {
+    pastures,
+    balanceAD: pastures.reduce((s, p) => s + (p.balanceAD ?? 0), 0),
+    herds: [...daysByHerd].map(([herdId, totalDays]) => ({ herdId, totalDays, seasonBalanceDays: len > 0 ? totalDays - len : null })),
+  };
+}
+
+/* ---------------- Rest / recovery periods ----------------
+ * Required rest for a return visit: a per-pasture override wins, then the first seasonal
+ * rule whose MM-DD range contains the return date, then the default.
+ */
+function requiredRestDays(pasture, returnISO, rules) {
+  const k = String(pasture || "").trim().toLowerCase();
+  const override = Object.entries(rules.byPasture || {}).find(([p]) => p.trim().toLowerCase() === k);
+  if (override && override[1] !== "" && override[1] != null) return toNum(override[1]);
+  const season = (rules.seasons || []).find(se => inMonthDayRange(returnISO, se.from, se.to));
+  if (season) return toNum(season.days);
+  return toNum(rules.defaultDays);
+}
+
+// { [rowId]: { restDays, requiredDays, shortBy, prevId } } for every return visit
+function checkRestPeriods(list, rules) {
+  const visits = new Map();
+  for (const r of list) {
+    const k = String(r.pasture || "").trim().toLowerCase();
+    if (isGap(r) || !k || !r.startDate || !r.endDate || toNum(r.grazingDays) <= 0) continue;
+    if (!visits.has(k)) visits.set(k, []);
+    visits.get(k).push(r);
+  }
+  const out = {};
+  for (const arr of visits.values()) {
+    arr.sort((a, b) => a.startDate.localeCompare(b.startDate));
+    for (let i = 1; i < arr.length; i++) {
+      const prev = arr[i - 1], cur = arr[i];
+      const restDays = Math.max(0, daysBetweenISO(prev.endDate, cur.startDate) - 1);
+      const requiredDays = requiredRestDays(cur.pasture, cur.startDate, rules);
+      out[cur.id] = { restDays, requiredDays, shortBy: Math.max(0, requiredDays - restDays), prevId: prev.id };
+    }
+  }
+  return out;
+}
+
+/* Greedy reorder of one herd's rows: at each step take the first remaining row whose pasture
+ * has rested long enough by the current date (counting visits by `otherVisits`, i.e. other
+ * herds); if none has, take the one closest to meeting its target.
+ * Returns the new order and how many return visits still come back too early.
+ */
+function proposeRestOrder(list, planStart, rules, otherVisits = []) {
+  let current = toISO(planStart);
+  if (!current) return { order: list, violations: null };
+  const remaining = [...list];
+  const lastEnd = new Map();
+  const order = [];
+  let violations = 0;
+  const lastEndBefore = (k) => {
+    let end = lastEnd.get(k) || "";
+    for (const v of otherVisits) {
+      if (String(v.pasture || "").trim().toLowerCase() === k && v.endDate && v.endDate < current && v.endDate > end) end = v.endDate;
+    }
+    return end;
+  };
+  const shortfall = (r) => {
+    const k = isGap(r) ? "" : String(r.pasture || "").trim().toLowerCase();
+    const prevEnd = k ? lastEndBefore(k) : "";
+    if (!prevEnd || toNum(r.grazingDays) <= 0) return 0;
+    const rest = daysBetweenISO(prevEnd, current) - 1;
+    return Math.max(0, requiredRestDays(r.pasture, current, rules) - rest);
+  };
+  while (remaining.length) {
+    let idx = remaining.findIndex(r => shortfall(r) === 0);
+    if (idx < 0) {
+      idx = 0;
+      for (let i = 1; i < remaining.length; i++) if (shortfall(remaining[i]) < shortfall(remaining[idx])) idx = i;
+      violations += 1;
+    }
+    const [r] = remaining.splice(idx, 1);
+    order.push(r);
+    // same chaining as recompute()
+    if (r.pinnedStart) current = r.pinnedStart;
+    const days = Math.max(0, toNum(r.grazingDays));
+    const end = days > 0 ? addDaysISO(current, days - 1) : current;
+    const k = isGap(r) ? "" : String(r.pasture || "").trim().toLowerCase();
+    if (k && days > 0) lastEnd.set(k, end);
+    current = addDaysISO(end, 1);
+  }
+  return { order, violations };
+}
+
+// runs proposeRestOrder for every herd and puts each herd's new order back into its own table slots
+function proposeRestOrderAllHerds(list, planStart, rules, herds) {
+  const order = [...list];
+  let violations = 0;
+  for (const h of herds) {
+    const slots = list.map((r, i) => i).filter(i => herdOf(list[i], herds).id === h.id);
+    if (!slots.length) continue;
+    const mine = slots.map(i => list[i]);
+    const others = list.filter(r => herdOf(r, herds).id !== h.id);
+    const res = proposeRestOrder(mine, h.startDate || planStart, rules, others);
+    if (res.violations == null) return { order: list, violations: null };
+    violations += res.violations;
+    slots.forEach((slot, n) => { order[slot] = res.order[n]; });
+  }
+  return { order, violations };
+}
+
 function toISO(dateStr) {
   if (!dateStr) return "";
   const d = parseISO(dateStr);
@@ -58,26 +383,85 @@ function addDaysISO(iso, days) {
   return format(addDays(d, days), "yyyy-MM-dd");
 }
 
-function overlapsSummerWindow(startISO, endISO) {
+function daysBetweenISO(fromISO, toISO_) {
+  const a = parseISO(fromISO), b = parseISO(toISO_);
+  if (!isValid(a) || !isValid(b)) return null;
+  return differenceInCalendarDays(b, a);
+}
+
+// "MM-DD" range test that also handles ranges wrapping the new year (e.g. 11-01 → 02-28)
+function inMonthDayRange(iso, fromMD, toMD) {
+  if (!iso || !fromMD || !toMD) return false;
+  const md = iso.slice(5, 10);
+  return fromMD <= toMD ? md >= fromMD && md <= toMD : md >= fromMD || md <= toMD;
+}
+
+/* ---------------- Critical-season windows ----------------
+ * Windows repeat every year as MM-DD ranges; a start after the end wraps into the next
+ * year (e.g. a 12-01 → 02-28 winter closure). An empty `pastures` list means all pastures.
+ */
+const DEFAULT_WINDOWS = [
+  { id: "critical-growing", name: "Critical growing season", start: "07-15", end: "09-15", color: "#10b981", pastures: [] },
+];
+
+function overlapsWindow(startISO, endISO, win) {
   const s = parseISO(startISO);
   const e = parseISO(endISO);
-  if (!isValid(s) || !isValid(e)) return false;
+  if (!isValid(s) || !isValid(e) || !win?.start || !win?.end) return false;
+  const wraps = win.start > win.end;
   const sy = s.getFullYear(), ey = e.getFullYear();
-  for (let y = sy; y <= ey; y++) {
-    const summerStart = parseISO(`${y}-07-15`);
-    const summerEnd = parseISO(`${y}-09-15`);
-    if (areIntervalsOverlapping({ start: s, end: e }, { start: summerStart, end: summerEnd }, { inclusive: true })) {
+  for (let y = sy - (wraps ? 1 : 0); y <= ey; y++) {
+    const winStart = parseISO(`${y}-${win.start}`);
+    const winEnd = parseISO(`${wraps ? y + 1 : y}-${win.end}`);
+    if (!isValid(winStart) || !isValid(winEnd)) continue;
+    if (areIntervalsOverlapping({ start: s, end: e }, { start: winStart, end: winEnd }, { inclusive: true })) {
       return true;
     }
   }
   return false;
 }
 
+// days of [startISO, endISO] that fall inside the window, summed over the years it spans
+function windowOverlapDays(startISO, endISO, win) {
+  const s = parseISO(startISO);
+  const e = parseISO(endISO);
+  if (!isValid(s) || !isValid(e) || e < s || !win?.start || !win?.end) return 0;
+  const wraps = win.start > win.end;
+  let days = 0;
+  for (let y = s.getFullYear() - (wraps ? 1 : 0); y <= e.getFullYear(); y++) {
+    const winStart = parseISO(`${y}-${win.start}`);
+    const winEnd = parseISO(`${wraps ? y + 1 : y}-${win.end}`);
+    if (!isValid(winStart) || !isValid(winEnd)) continue;
+    const from = s > winStart ? s : winStart;
+    const to = e < winEnd ? e : winEnd;
+    if (to >= from) days += differenceInCalendarDays(to, from) + 1;
+  }
+  return days;
+}
+
+function windowAppliesTo(win, pasture) {
+  const list = (win.pastures || []).map(p => String(p).trim().toLowerCase()).filter(Boolean);
+  return list.length === 0 || list.includes(String(pasture || "").trim().toLowerCase());
+}
+
+function windowsForRow(row, windows) {
+  if (isGap(row)) return [];
+  return (windows || []).filter(w => windowAppliesTo(w, row.pasture) && overlapsWindow(row.startDate, row.endDate, w));
+}
+
+// off-pasture period (lease, hay feeding, shipping): takes days in the herd's chain, no pasture or ADA
+const isGap = (r) => r?.kind === "gap";
+
 const newRow = (overrides = {}) => ({
   id: crypto.randomUUID(),
+  kind: "pasture",     // "pasture" | "gap"
+  pastureId: null,     // registry pasture this row takes its name and acreage from
   pasture: "",
   acreage: 0,
+  herdId: null,
   herdSize: 0,
+  composition: {},
+  animalUnits: 0,
   prevPlannedADA: null,
   prevActualADA: null,
   estNativeADA: null,
@@ -87,27 +471,676 @@ const newRow = (overrides = {}) => ({
   startDate: "",
   endDate: "",
   notes: "",
+  actual: null,        // in-season record: { inDate, outDate, headCount, notes }
+  pinnedStart: "",     // fixed start date; the herd's chain flows around it
+  idleDaysBefore: 0,   // unused days between the previous stay and the pin
+  pinConflictDays: 0,  // days the previous stays run past the pin
+  pinEarlyDays: 0,     // days a herd's first stay is pinned before its season start
+  ...overrides,
+});
+
+/* ---------------- Pasture registry ----------------
+ * Canonical pasture records, one list per operation. Rows link by pastureId and take the
+ * registry's name and acreage; a row typed by hand links when its name matches a name or alias.
+ */
+const newPasture = (overrides = {}) => ({
+  id: crypto.randomUUID(),
+  name: "",
+  aliases: [],
+  acreage: 0,
+  forageType: "",
+  waterSources: "",
+  fenceNotes: "",
+  featureName: "",     // GeoJSON feature name when it differs from the pasture name
   ...overrides,
 });
 
+// lower-cased name and aliases → pasture
+function registryIndex(registry) {
+  const idx = new Map();
+  for (const p of registry || []) {
+    for (const n of [p.name, ...(p.aliases || [])]) {
+      const k = String(n || "").trim().toLowerCase();
+      if (k && !idx.has(k)) idx.set(k, p);
+    }
+  }
+  return idx;
+}
+
+function resolvePastures(list, registry) {
+  const byId = new Map((registry || []).map(p => [p.id, p]));
+  const byName = registryIndex(registry);
+  return list.map(r => {
+    if (isGap(r)) return r;
+    const p = byId.get(r.pastureId) || byName.get(String(r.pasture || "").trim().toLowerCase());
+    if (!p) return r.pastureId ? { ...r, pastureId: null } : r;
+    return { ...r, pastureId: p.id, pasture: p.name, acreage: toNum(p.acreage) };
+  });
+}
+
+// registry name for a pasture name or alias, lower-cased; unknown names pass through
+function canonicalKey(name, idx) {
+  const k = String(name || "").trim().toLowerCase();
+  return idx.get(k)?.name.trim().toLowerCase() ?? k;
+}
+
+// one registry entry per distinct pasture name in the rows
+function registryFromRows(list) {
+  const seen = new Map();
+  for (const r of list || []) {
+    const name = String(r?.pasture || "").trim();
+    const k = name.toLowerCase();
+    if (!k || isGap(r) || seen.has(k)) continue;
+    seen.set(k, newPasture({ name, acreage: toNum(r.acreage) }));
+  }
+  return [...seen.values()];
+}
+
+/* ---------------- Name reconciliation ----------------
+ * Fuzzy matching ignores case, punctuation and words like "pasture", so "Pasture 1" ~ "1"
+ * and "UA E" ~ "UA-E"; everything else falls back to edit distance.
+ */
+function normalizePastureName(s) {
+  return String(s || "").toLowerCase().replace(/\b(pasture|pastures|past|paddock|unit)\b/g, "").replace(/[^a-z0-9]/g, "");
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function nameSimilarity(a, b) {
+  const na = normalizePastureName(a), nb = normalizePastureName(b);
+  if (!na || !nb) return 0;
+  if (na === nb) return 1;
+  return Math.max(0, 1 - editDistance(na, nb) / Math.max(na.length, nb.length));
+}
+
+// best registry pasture for a name, or null below the threshold
+function suggestPasture(name, registry, threshold = 0.5) {
+  let best = null;
+  for (const p of registry) {
+    const score = Math.max(...[p.name, ...(p.aliases || [])].map(n => nameSimilarity(name, n)));
+    if (score >= threshold && (!best || score > best.score)) best = { pasture: p, score };
+  }
+  return best;
+}
+
+/* ---------------- CSV import mapping ----------------
+ * Each import kind lists the columns it reads. A mapping picks the CSV header for each one;
+ * it is remembered per kind and header layout, so next year's file in the same layout imports as-is.
+ */
+const CSV_IMPORTS = {
+  estimates: {
+    label: "estimates",
+    columns: [
+      { field: "pasture", label: "Pasture", re: /pasture|paddock|unit/, fallback: "Pasture" },
+      { field: "estNativeADA", label: "Est. Native ADA", re: /(est.*native.*ada)|(native.*ada)/, fallback: "EstNativeADA", numeric: true },
+      { field: "estPerennialADA", label: "Est. Introduced ADA", re: /(est.*per.*ada)|(perennial.*ada)/, fallback: "EstPerennialADA", numeric: true },
+    ],
+  },
+  previous: {
+    label: "previous season",
+    columns: [
+      { field: "pasture", label: "Pasture", re: /pasture|paddock|unit/, fallback: "Pasture" },
+      { field: "prevPlannedADA", label: "Prev. Planned ADA", re: /(prev.*plan.*ada)|(plan.*ada)/, fallback: "PrevPlannedADA", numeric: true },
+      { field: "prevActualADA", label: "Prev. Actual ADA", re: /(prev.*act.*ada)|(actual.*ada)/, fallback: "PrevActualADA", numeric: true },
+    ],
+  },
+};
+
+const csvLayoutKey = (kind, headers) => `${kind}:${headers.map(h => String(h).trim().toLowerCase()).sort().join("|")}`;
+
+function detectCSVMapping(kind, headers, saved = {}) {
+  const remembered = saved[csvLayoutKey(kind, headers)];
+  if (remembered) return { mapping: remembered, remembered: true };
+  const norm = (s) => (s || "").toString().trim().toLowerCase();
+  const mapping = {};
+  for (const c of CSV_IMPORTS[kind].columns) {
+    mapping[c.field] = headers.find(h => c.re.test(norm(h))) || (headers.includes(c.fallback) ? c.fallback : "");
+  }
+  return { mapping, remembered: false };
+}
+
+// blank → null, unparseable → NaN
+function csvNumber(v) {
+  if (v == null || String(v).trim() === "") return null;
+  if (typeof v === "number") return Number.isFinite(v) ? v : NaN;
+  const n = Number(String(v).replace(/,/g, "").trim());
+  return Number.isFinite(n) ? n : NaN;
+}
+
+// values per pasture name under a mapping, plus the rows and cells that can't be used
+function readCSVImport(kind, data, mapping) {
+  const nameCol = mapping.pasture;
+  const values = [], skipped = [], nonNumeric = [];
+  data.forEach((row, i) => {
+    const line = i + 2; // line 1 is the header
+    const name = nameCol ? String(row[nameCol] ?? "").trim() : "";
+    if (!name) { skipped.push({ line, name: "", reason: nameCol ? "no pasture name" : "no pasture column mapped" }); return; }
+    const fields = {};
+    for (const c of CSV_IMPORTS[kind].columns) {
+      if (!c.numeric || !mapping[c.field]) continue;
+      const raw = row[mapping[c.field]];
+      const n = csvNumber(raw);
+      if (Number.isNaN(n)) nonNumeric.push({ line, name, column: mapping[c.field], value: String(raw) });
+      else fields[c.field] = n;
+    }
+    if (!Object.values(fields).some(v => v != null)) { skipped.push({ line, name, reason: "no numeric values" }); return; }
+    values.push({ line, name, fields });
+  });
+  return { values, skipped, nonNumeric };
+}
+
+/* ---------------- Actual use ----------------
+ * Actual AUs keep the planned class mix: recorded head × (planned AU ÷ planned head).
+ * Shifts are in days, negative = earlier than planned.
+ */
+function computeActualUse(row) {
+  const a = row?.actual;
+  if (isGap(row) || !a || !a.inDate || !a.outDate) return null;
+  const days = daysBetweenISO(a.inDate, a.outDate) + 1;
+  if (days == null || days <= 0) return null;
+  const head = a.headCount === "" || a.headCount == null ? toNum(row.herdSize) : toNum(a.headCount);
+  const auPerHead = toNum(row.herdSize) > 0 ? rowAU(row) / toNum(row.herdSize) : 1;
+  const au = +(head * auPerHead).toFixed(2);
+  return {
+    days,
+    head,
+    au,
+    ada: computeProposedADA(days, au, row.acreage),
+    inShift: row.startDate ? daysBetweenISO(row.startDate, a.inDate) : null,
+    outShift: row.endDate ? daysBetweenISO(row.endDate, a.outDate) : null,
+  };
+}
+
+// sums ADA over repeat visits so each pasture gets one seasonal figure
+function adaByPasture(list, pick) {
+  const dict = {};
+  for (const r of list) {
+    const v = pick(r);
+    if (isGap(r) || !r.pasture || v == null) continue;
+    dict[r.pasture] = +((dict[r.pasture] || 0) + toNum(v)).toFixed(2);
+  }
+  return dict;
+}
+
+/* ---------------- iCalendar export ---------------- */
+function icsEscape(text) {
+  return String(text ?? "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+// RFC 5545: lines longer than 75 octets are folded, continuation lines start with a space
+function icsFold(line) {
+  const enc = new TextEncoder();
+  const out = [];
+  let cur = "", bytes = 0;
+  for (const ch of line) {
+    const n = enc.encode(ch).length;
+    if (bytes + n > 75) { out.push(cur); cur = " "; bytes = 1; }
+    cur += ch; bytes += n;
+  }
+  out.push(cur);
+  return out.join("\r\n");
+}
+
+const icsDate = (iso) => iso.replace(/-/g, "");
+
+/* One all-day event per pasture stay plus a "move day" event at each transition of a herd
+ * from one pasture to the next. `herdId` limits the export to one herd.
+ */
+function buildICS(list, { herds, calName, herdId = null }) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//small-herd-grazing-planner//EN", "CALSCALE:GREGORIAN", `X-WR-CALNAME:${icsEscape(calName)}`];
+  const event = (uid, startISO, endISO, summary, description) => {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${uid}@small-herd-grazing-planner`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(startISO)}`,
+      `DTEND;VALUE=DATE:${icsDate(addDaysISO(endISO, 1))}`,   // DTEND is exclusive for all-day events
+      `SUMMARY:${icsEscape(summary)}`,
+      `DESCRIPTION:${icsEscape(description)}`,
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT",
+    );
+  };
+
+  for (const h of herds) {
+    if (herdId && h.id !== herdId) continue;
+    const stays = list.filter(r => herdOf(r, herds).id === h.id && r.startDate && r.endDate && toNum(r.grazingDays) > 0);
+    stays.forEach((r, i) => {
+      if (isGap(r)) {
+        event(r.id, r.startDate, r.endDate, `${h.name}: off pasture – ${r.pasture || "gap"}`, [`Herd: ${h.name}`, `Days: ${r.grazingDays}`, r.notes ? `Notes: ${r.notes}` : ""].filter(Boolean).join("\n"));
+      } else event(r.id, r.startDate, r.endDate, `${h.name}: ${r.pasture}`, [
+        `Pasture: ${r.pasture}`,
+        `Herd: ${h.name}`,
+        `Herd size: ${r.herdSize} head (${r.animalUnits ?? r.herdSize} AU)`,
+        `Grazing days: ${r.grazingDays}`,
+        `Proposed ADA: ${r.proposedADA}`,
+        r.notes ? `Notes: ${r.notes}` : "",
+      ].filter(Boolean).join("\n"));
+      const prev = stays[i - 1];
+      if (prev) {
+        event(`move-${r.id}`, r.startDate, r.startDate, `Move ${h.name}: ${prev.pasture} → ${r.pasture}`,
+          `Move ${r.herdSize} head from ${prev.pasture} to ${r.pasture}.${r.notes ? `\nNotes: ${r.notes}` : ""}`);
+      }
+    });
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+
+function downloadText(text, filename, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = filename; a.click();
+  URL.revokeObjectURL(url);
+}
+
+/* ---------------- Excel workbook ----------------
+ * On the Plan sheet, AUs are head count × AU per head, and Proposed ADA and the projected dates
+ * are formulas over acreage, AUs, grazing days, pinned starts and each herd's season start (Herds sheet), chained per herd in
+ * row order as recompute() does, so edits made in Excel recalculate.
+ */
+const EXCEL_DATE = "yyyy-mm-dd";
+const excelSerial = (iso) => differenceInCalendarDays(parseISO(iso), new Date(1899, 11, 30));
+const dateCell = (iso) => (toISO(iso) ? { v: excelSerial(toISO(iso)), date: true } : null);
+// formula cell with a cached value, so viewers that don't recalculate still show numbers
+const formulaCell = (f, v, date = false) => ({ f, v: v ?? "", date });
+
+// body cells are plain values or { v, f?, date? }
+function addSheet(wb, name, header, body, widths) {
+  const ws = wb.addWorksheet(name);
+  ws.columns = header.map((h, i) => ({ header: h, width: widths[i] }));
+  ws.getRow(1).font = { bold: true };
+  for (const cells of body) {
+    const row = ws.addRow(cells.map(c => (c && typeof c === "object" ? (c.f ? { formula: c.f, result: c.v } : c.v) : c)));
+    cells.forEach((c, j) => { if (c?.date) row.getCell(j + 1).numFmt = EXCEL_DATE; });
+  }
+}
+
+// the row's AU mix as a ratio, so head-count edits carry through to AUs and ADA
+const auPerHead = (r) => (toNum(r.herdSize) > 0 ? +(rowAU(r) / toNum(r.herdSize)).toFixed(4) : 1);
+const adaFormula = (n, { type, acres, au, days }) => `IF(OR(${type}${n}="Gap",${acres}${n}<=0),0,ROUND(${days}${n}*${au}${n}/${acres}${n},2))`;
+
+function buildPlanWorkbook({ rows, herds, startDate, windows, drafts, prevPlanned, prevActual }) {
+  const wb = new ExcelJS.Workbook();
+
+  const herdRow = new Map(herds.map((h, i) => [h.id, i + 2]));
+  const lastOfHerd = new Map();
+  const planBody = rows.map((r, i) => {
+    const n = i + 2;
+    const herd = herdOf(r, herds);
+    const prev = lastOfHerd.get(herd.id);
+    lastOfHerd.set(herd.id, n);
+    const chained = prev ? `IF(L${prev}="","",L${prev}+1)` : `IF(Herds!B${herdRow.get(herd.id)}="","",Herds!B${herdRow.get(herd.id)})`;
+    return [
+      i + 1, isGap(r) ? "Gap" : "Pasture", r.pasture, herd.name,
+      toNum(r.acreage), toNum(r.herdSize), auPerHead(r), formulaCell(`ROUND(F${n}*G${n},2)`, rowAU(r)), toNum(r.grazingDays),
+      formulaCell(adaFormula(n, { type: "B", acres: "E", au: "H", days: "I" }), r.proposedADA),
+      formulaCell(`IF(M${n}<>"",M${n},${chained})`, r.startDate ? excelSerial(r.startDate) : "", true),
+      formulaCell(`IF(K${n}="","",K${n}+MAX(I${n}-1,0))`, r.endDate ? excelSerial(r.endDate) : "", true),
+      dateCell(r.pinnedStart),
+      r.estNativeADA ?? null, r.estPerennialADA ?? null, r.prevPlannedADA ?? null, r.prevActualADA ?? null,
+      windowsForRow(r, windows).map(w => w.name).join("; "), r.notes || "",
+    ];
+  });
+  const last = rows.length + 1;
+  if (rows.length) {
+    planBody.push(["", "Total", "", "", "", "", "", "", formulaCell(`SUM(I2:I${last})`, rows.reduce((s, r) => s + Math.max(0, toNum(r.grazingDays)), 0)),
+      formulaCell(`SUM(J2:J${last})`, +rows.reduce((s, r) => s + toNum(r.proposedADA), 0).toFixed(2))]);
+  }
+  addSheet(wb, "Plan",
+    ["Seq", "Type", "Pasture", "Herd", "Acreage", "HerdSize", "AUPerHead", "AnimalUnits", "GrazingDays", "ProposedADA", "ProjectedStart", "ProjectedEnd", "PinnedStart", "EstNativeADA", "EstPerennialADA", "PrevPlannedADA", "PrevActualADA", "CriticalWindows", "Notes"],
+    planBody, [5, 8, 18, 14, 9, 9, 10, 11, 11, 11, 13, 13, 12, 12, 14, 14, 13, 20, 30],
+  );
+
+  addSheet(wb, "Herds",
+    ["Herd", "SeasonStart"],
+    herds.map(h => [h.name, dateCell(h.startDate || startDate)]),
+    [18, 13],
+  );
+
+  const draftBody = [];
+  for (const d of drafts) {
+    d.rows.forEach((r, i) => {
+      const n = draftBody.length + 2;
+      draftBody.push([
+        d.year, d.name, d.final ? "yes" : "", d.ts ? new Date(d.ts).toISOString().slice(0, 10) : "",
+        i + 1, isGap(r) ? "Gap" : "Pasture", r.pasture, herdOf(r, d.herds).name,
+        toNum(r.acreage), toNum(r.herdSize), auPerHead(r), formulaCell(`ROUND(J${n}*K${n},2)`, rowAU(r)), toNum(r.grazingDays),
+        formulaCell(adaFormula(n, { type: "F", acres: "I", au: "L", days: "M" }), r.proposedADA),
+        dateCell(r.startDate), dateCell(r.endDate), r.notes || "",
+      ]);
+    });
+  }
+  addSheet(wb, "Drafts",
+    ["Year", "Draft", "Final", "Saved", "Seq", "Type", "Pasture", "Herd", "Acreage", "HerdSize", "AUPerHead", "AnimalUnits", "GrazingDays", "ProposedADA", "ProjectedStart", "ProjectedEnd", "Notes"],
+    draftBody, [6, 18, 6, 11, 5, 8, 18, 14, 9, 9, 10, 11, 11, 11, 13, 13, 30],
+  );
+
+  // same columns as the previous-season CSV, so the sheet imports back as-is
+  const names = [...new Set([...Object.keys(prevPlanned || {}), ...Object.keys(prevActual || {})])].sort();
+  addSheet(wb, "Previous season",
+    ["Pasture", "PrevPlannedADA", "PrevActualADA"],
+    names.map(p => [p, prevPlanned?.[p] ?? null, prevActual?.[p] ?? null]),
+    [18, 15, 15],
+  );
+
+  return wb;
+}
+
+// formula results, rich text and links read as their plain value
+function excelValue(v) {
+  if (v == null || typeof v !== "object") return v ?? null;
+  if (v instanceof Date) return v.toISOString().slice(0, 10);
+  if ("result" in v) return excelValue(v.result);
+  if (Array.isArray(v.richText)) return v.richText.map(t => t.text).join("");
+  if ("text" in v) return v.text;
+  return null;
+}
+
+// every sheet with a header row, as the same { headers, data } the CSV import reads
+async function readWorkbookSheets(buffer) {
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(buffer);
+  const sheets = {};
+  wb.eachSheet(ws => {
+    const cols = [];
+    ws.getRow(1).eachCell((cell, col) => {
+      const h = excelValue(cell.value);
+      if (h != null && String(h).trim() !== "") cols.push([col, String(h)]);
+    });
+    if (!cols.length) return;
+    const data = [];
+    ws.eachRow((row, n) => {
+      if (n === 1) return;
+      const rec = Object.fromEntries(cols.map(([col, h]) => [h, excelValue(row.getCell(col).value)]));
+      if (Object.values(rec).some(v => v != null && v !== "")) data.push(rec);
+    });
+    sheets[ws.name] = { headers: cols.map(([, h]) => h), data };
+  });
+  return sheets;
+}
+
+// the sheet whose headers match most of an import kind's columns; on a tie, the one with fewest other columns
+function bestSheetFor(kind, sheets) {
+  const score = (name) => Object.values(detectCSVMapping(kind, sheets[name].headers).mapping).filter(Boolean).length * 100 - sheets[name].headers.length;
+  return Object.keys(sheets).reduce((best, name) => (score(name) > score(best) ? name : best));
+}
+
+/* ---------------- GIS export (GeoJSON / KML) ----------------
+ * One feature per pasture stay, with the pasture boundary and the stay's schedule, plus one
+ * route line per herd through the pasture centres in grazing order, as on the static map.
+ */
+function planFeatureCollection(list, { herds, featureByPasture }) {
+  const features = [];
+  for (const h of herds) {
+    const stays = list.filter(r => !isGap(r) && herdOf(r, herds).id === h.id && toNum(r.grazingDays) > 0);
+    const route = [];
+    stays.forEach((r, i) => {
+      const f = featureByPasture[String(r.pasture || "").toLowerCase()];
+      if (!f?.geometry) return;
+      features.push({
+        type: "Feature",
+        geometry: f.geometry,
+        properties: {
+          kind: "stay", sequence: i + 1, pasture: r.pasture, herd: h.name, herd_id: h.id,
+          start: r.startDate || null, end: r.endDate || null, grazing_days: toNum(r.grazingDays),
+          herd_size: toNum(r.herdSize), animal_units: rowAU(r), acreage: toNum(r.acreage), ada: toNum(r.proposedADA), notes: r.notes || "",
+        },
+      });
+      route.push(turf.centerOfMass(f).geometry.coordinates);
+    });
+    if (route.length > 1) {
+      features.push({ type: "Feature", geometry: { type: "LineString", coordinates: route }, properties: { kind: "route", herd: h.name, herd_id: h.id, color: h.color, stays: route.length } });
+    }
+  }
+  return { type: "FeatureCollection", features };
+}
+
+const xmlEscape = (t) => String(t ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+const kmlCoords = (coords) => coords.map(([x, y]) => `${x},${y}`).join(" ");
+// KML colours are aabbggrr
+function kmlColor(hex, alpha = "ff") {
+  const c = /^#?([0-9a-f]{6})$/i.exec(hex || "")?.[1] || "2563eb";
+  return `${alpha}${c.slice(4, 6)}${c.slice(2, 4)}${c.slice(0, 2)}`;
+}
+
+function kmlGeometry(g) {
+  const ring = (coords) => `<LinearRing><coordinates>${kmlCoords(coords)}</coordinates></LinearRing>`;
+  const polygon = (rings) => `<Polygon><outerBoundaryIs>${ring(rings[0])}</outerBoundaryIs>${rings.slice(1).map(r => `<innerBoundaryIs>${ring(r)}</innerBoundaryIs>`).join("")}</Polygon>`;
+  if (g.type === "Polygon") return polygon(g.coordinates);
+  if (g.type === "MultiPolygon") return `<MultiGeometry>${g.coordinates.map(polygon).join("")}</MultiGeometry>`;
+  if (g.type === "LineString") return `<LineString><tessellate>1</tessellate><coordinates>${kmlCoords(g.coordinates)}</coordinates></LineString>`;
+  return "";
+}
+
+function buildPlanKML(fc, { name, herds }) {
+  const styles = herds.map(h => (
+    `<Style id="herd-${xmlEscape(h.id)}"><LineStyle><color>${kmlColor(h.color)}</color><width>3</width></LineStyle><PolyStyle><color>${kmlColor(h.color, "40")}</color></PolyStyle></Style>`
+  ));
+  const placemarks = fc.features.map(({ geometry, properties: p }) => {
+    const title = p.kind === "route" ? `${p.herd} route` : `${p.sequence}. ${p.pasture}`;
+    const description = p.kind === "route" ? "" : `${p.herd}: ${p.start || "?"} – ${p.end || "?"}, ${p.grazing_days} days, ${p.herd_size} head, ADA ${p.ada}${p.notes ? `. ${p.notes}` : ""}`;
+    const data = Object.entries(p).map(([k, v]) => `<Data name="${k}"><value>${xmlEscape(v)}</value></Data>`).join("");
+    return `<Placemark><name>${xmlEscape(title)}</name>${description ? `<description>${xmlEscape(description)}</description>` : ""}<styleUrl>#herd-${xmlEscape(p.herd_id)}</styleUrl><ExtendedData>${data}</ExtendedData>${kmlGeometry(geometry)}</Placemark>`;
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>',
+    `<name>${xmlEscape(name)}</name>`,
+    ...styles,
+    ...placemarks,
+    "</Document></kml>",
+  ].join("\n");
+}
+
+/* ---------------- Workspace backup / restore ----------------
+ * A backup is { app, schemaVersion, exportedAt, data }. Since v3, data is
+ * { currentOperation, operations: [{ id, name }], byOperation: { [id]: fields } } where the
+ * fields hold every per-operation storage key (operationKeys). Bump SCHEMA_VERSION whenever stored shapes
+ * change and add MIGRATIONS[old] to upgrade from it.
+ */
+const SCHEMA_VERSION = 3;
+
+const BACKUP_FIELDS = [
+  ["lastPlan", "LAST_PLAN"],
+  ["startDate", "START_DATE"],
+  ["drafts", "DRAFTS_FS"],
+  ["finalByYear", "FINAL_BY_YEAR"],
+  ["prevPlanned", "PREV_PLANNED"],
+  ["prevActual", "PREV_ACTUAL"],
+  ["budget", "BUDGET"],
+  ["rest", "REST"],
+  ["windows", "WINDOWS"],
+  ["herds", "HERDS"],
+  ["auClasses", "AU_CLASSES"],
+  ["adjTolerance", "ADJ_TOLERANCE"],
+  ["geojson", "GEOJSON"],
+  ["pastures", "PASTURES"],
+  ["unmatchedEstimates", "UNMATCHED_EST"],
+  ["csvMappings", "CSV_MAPPINGS"],
+];
+const RAW_FIELDS = new Set(["startDate", "adjTolerance"]); // stored as plain strings, not JSON
+
+// fills fields added since the row was saved
+function migrateRow(r) {
+  return { ...newRow(), ...r, composition: r?.composition || {}, kind: r?.kind || "pasture" };
+}
+
+const MIGRATIONS = {
+  // v1 = anything saved before versioning: rows and drafts may lack herd, AU, actual-use and pin fields
+  1: (data) => {
+    const rows = (list) => (Array.isArray(list) ? list.map(migrateRow) : list);
+    const drafts = {};
+    for (const [y, arr] of Object.entries(data.drafts || {})) {
+      drafts[y] = (Array.isArray(arr) ? arr : []).map(d => ({ name: "", ...d, rows: rows(d.rows) || [] }));
+    }
+    return { ...data, lastPlan: rows(data.lastPlan), drafts };
+  },
+  // v2 = a single operation's fields
+  2: (data) => ({
+    currentOperation: DEFAULT_OP_ID,
+    operations: DEFAULT_OPERATIONS,
+    byOperation: { [DEFAULT_OP_ID]: data },
+  }),
+};
+
+function readOperationData(opId) {
+  const keys = operationKeys(opId);
+  const data = {};
+  for (const [field, k] of BACKUP_FIELDS) {
+    const v = localStorage.getItem(keys[k]);
+    if (v == null) continue;
+    if (RAW_FIELDS.has(field)) data[field] = v;
+    else { try { data[field] = JSON.parse(v); } catch { /* unreadable entries are left out */ } }
+  }
+  return data;
+}
+
+// fields missing from data are removed, so pass a complete operation
+function writeOperationData(opId, data) {
+  const keys = operationKeys(opId);
+  for (const [field, k] of BACKUP_FIELDS) {
+    const v = data?.[field];
+    if (v == null) localStorage.removeItem(keys[k]);
+    else localStorage.setItem(keys[k], RAW_FIELDS.has(field) ? String(v) : JSON.stringify(v));
+  }
+}
+
+function readWorkspace() {
+  const operations = loadOperations();
+  const byOperation = {};
+  for (const op of operations) byOperation[op.id] = readOperationData(op.id);
+  return {
+    app: APP_ID,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    data: { currentOperation: loadCurrentOperationId(), operations, byOperation },
+  };
+}
+
+// operations missing from data are deleted, so pass a complete workspace
+function writeWorkspace(data) {
+  const operations = Array.isArray(data.operations) && data.operations.length ? data.operations : DEFAULT_OPERATIONS;
+  for (const op of loadOperations()) {
+    if (!operations.some(o => o.id === op.id)) writeOperationData(op.id, {});
+  }
+  for (const op of operations) writeOperationData(op.id, data.byOperation?.[op.id] || {});
+  saveOperations(operations);
+  const current = operations.some(o => o.id === data.currentOperation) ? data.currentOperation : operations[0].id;
+  localStorage.setItem(GLOBAL_KEYS.CURRENT_OP, current);
+  localStorage.setItem(GLOBAL_KEYS.SCHEMA, String(SCHEMA_VERSION));
+}
+
+function migrateWorkspace(backup) {
+  if (!backup || typeof backup !== "object" || !backup.data || typeof backup.data !== "object") {
+    throw new Error("This file is not a grazing planner workspace backup.");
+  }
+  const fromVersion = toNum(backup.schemaVersion) || 1;
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(`The backup uses schema v${fromVersion}, newer than this app (v${SCHEMA_VERSION}). Update the app first.`);
+  }
+  let data = { ...backup.data };
+  const steps = [];
+  for (let v = fromVersion; v < SCHEMA_VERSION; v++) {
+    data = MIGRATIONS[v](data);
+    steps.push(`v${v} → v${v + 1}`);
+  }
+  return { data, steps, fromVersion };
+}
+
+// merge keeps everything already here; the backup only adds drafts, pastures and settings we don't have
+function mergeOperationData(current, incoming) {
+  const drafts = { ...(current.drafts || {}) };
+  for (const [y, arr] of Object.entries(incoming.drafts || {})) {
+    const have = new Set((drafts[y] || []).map(d => d.id));
+    drafts[y] = [...(drafts[y] || []), ...(arr || []).filter(d => !have.has(d.id))];
+  }
+  return {
+    ...incoming,
+    ...current,
+    drafts,
+    finalByYear: { ...(incoming.finalByYear || {}), ...(current.finalByYear || {}) },
+    prevPlanned: { ...(incoming.prevPlanned || {}), ...(current.prevPlanned || {}) },
+    prevActual: { ...(incoming.prevActual || {}), ...(current.prevActual || {}) },
+  };
+}
+
+function mergeWorkspace(current, incoming) {
+  const operations = [...current.operations, ...incoming.operations.filter(o => !current.operations.some(c => c.id === o.id))];
+  const byOperation = {};
+  for (const op of operations) {
+    const cur = current.byOperation[op.id];
+    const inc = incoming.byOperation?.[op.id];
+    byOperation[op.id] = cur && inc ? mergeOperationData(cur, inc) : (cur || inc || {});
+  }
+  return { currentOperation: current.currentOperation, operations, byOperation };
+}
+
+function summarizeWorkspace(data) {
+  const ops = (data?.operations || []).map(o => data.byOperation?.[o.id] || {});
+  const sum = (fn) => ops.reduce((n, d) => n + fn(d), 0);
+  const draftYears = [...new Set(ops.flatMap(d => Object.keys(d.drafts || {})))].sort();
+  const draftCount = sum(d => Object.values(d.drafts || {}).reduce((n, arr) => n + (arr?.length || 0), 0));
+  return [
+    ["Operations", (data?.operations || []).map(o => o.name).join(", ") || "—"],
+    ["Plan rows", sum(d => (Array.isArray(d.lastPlan) ? d.lastPlan.length : 0))],
+    ["Drafts", draftCount ? `${draftCount} (${draftYears.join(", ")})` : 0],
+    ["Prev. planned ADA pastures", sum(d => Object.keys(d.prevPlanned || {}).length)],
+    ["Prev. actual ADA pastures", sum(d => Object.keys(d.prevActual || {}).length)],
+    ["Registered pastures", sum(d => d.pastures?.length || 0)],
+    ["Mapped pastures", sum(d => d.geojson?.features?.length || 0)],
+  ];
+}
+
+// upgrade what this browser has stored before the planner reads it
+// returns an error message when the stored data could not be upgraded; the UI shows it
+function upgradeStoredWorkspace() {
+  const stored = toNum(localStorage.getItem(GLOBAL_KEYS.SCHEMA)) || 1;
+  if (stored >= SCHEMA_VERSION) return "";
+  try {
+    // before v3 everything lived under the default operation's keys
+    const { data } = migrateWorkspace({ schemaVersion: stored, data: readOperationData(DEFAULT_OP_ID) });
+    writeWorkspace(data);
+    return "";
+  } catch (err) {
+    return `Saved data from schema v${stored} could not be upgraded to v${SCHEMA_VERSION}: ${err?.message || err}`;
+  }
+}
+const WORKSPACE_UPGRADE_ERROR = upgradeStoredWorkspace();
+
 /* ---------------- Sortable row ---------------- */
-function SortableRow({ row, onChange, onDelete, onSelect, isSelected, onDuplicate }) {
+function SortableRow({ row, onChange, onDelete, onSelect, isSelected, onDuplicate, restIssue, windows = [], herds, overlaps, auClasses, move }) {
+  const [showComposition, setShowComposition] = useState(false);
   const { attributes, listeners, setNodeRef, transform, transition, isDragging } = useSortable({ id: row.id });
   const style = { transform: CSS.Transform.toString(transform), transition };
-  const inSummer = overlapsSummerWindow(row.startDate, row.endDate);
-  const tdSummerCls = inSummer ? "bg-emerald-100/70 outline outline-2 outline-emerald-400 rounded-md" : "";
+  const win = windows[0];
+  const tdWindowCls = win ? "outline outline-2 rounded-md" : "";
+  const tdWindowStyle = win ? { backgroundColor: `${win.color}26`, outlineColor: win.color } : undefined;
+  const windowTitle = windows.map(w => w.name).join(", ");
   const inputBase = "w-full rounded border p-1 appearance-none";
-  const inputSummerCls = inSummer ? "border-emerald-400 text-emerald-900" : "border-gray-200 text-gray-900";
+  const inputWindowCls = win ? "" : "border-gray-200 text-gray-900";
+  const inputWindowStyle = win ? { borderColor: win.color } : undefined;
+  const herd = herdOf(row, herds);
 
   return (
     <tr
       ref={setNodeRef}
       style={style}
-      className={`border-b ${isDragging ? "bg-gray-50" : isSelected ? "bg-blue-50" : "bg-white"}`}
+      className={`border-b ${isDragging ? "bg-gray-50" : isSelected ? "bg-blue-50" : isGap(row) ? "bg-gray-100" : "bg-white"}`}
       onClick={() => onSelect(row.id)}
       title="Click to select"
     >
-      <td className="p-2 align-top w-8 text-gray-400">
+      <td className="p-2 align-top w-8 text-gray-400" style={{ boxShadow: `inset 4px 0 0 ${herd.color}` }}>
         <button title="Drag" className="cursor-grab active:cursor-grabbing" {...attributes} {...listeners}>
           <GripVertical className="h-4 w-4" />
         </button>
@@ -118,10 +1151,44 @@ function SortableRow({ row, onChange, onDelete, onSelect, isSelected, onDuplicat
           className="w-full rounded border border-gray-200 p-1 outline-none focus:ring"
           value={row.pasture}
           onChange={(e) => onChange(row.id, { pasture: e.target.value })}
-          placeholder="Pasture"
+          list={isGap(row) ? undefined : "registry-pastures"}
+          title={row.pastureId ? "Linked to the pasture registry" : undefined}
+          placeholder={isGap(row) ? "Off pasture (lease, hay…)" : "Pasture"}
         />
+        {isGap(row) && <div className="mt-1 text-[11px] font-normal italic text-gray-500">off pasture</div>}
+        {restIssue && restIssue.shortBy > 0 && (
+          <div
+            className="mt-1 text-[11px] font-semibold text-red-600"
+            title={`Returns after ${restIssue.restDays} days of rest; ${restIssue.requiredDays} required`}
+          >
+            Rest {restIssue.restDays}/{restIssue.requiredDays} d
+          </div>
+        )}
+        {overlaps && overlaps.length > 0 && (
+          <div className="mt-1 text-[11px] font-semibold text-red-600" title="Another herd is scheduled in this pasture on overlapping dates">
+            Overlaps {[...new Set(overlaps.map(o => herdOf({ herdId: o.herdId }, herds).name))].join(", ")}
+          </div>
+        )}
+        {move && !move.adjacent && (
+          <div className="mt-1 text-[11px] font-semibold text-red-600" title="The previous pasture does not share a fence or gate with this one">
+            Not adjacent ({move.km} km)
+          </div>
+        )}
       </td>
 
+      <td className="p-2 align-top w-28">
+        <select
+          className="w-full rounded border border-gray-200 p-1"
+          value={herd.id}
+          onChange={(e) => onChange(row.id, { herdId: e.target.value })}
+        >
+          {herds.map(h => <option key={h.id} value={h.id}>{h.name}</option>)}
+        </select>
+      </td>
+
+      {isGap(row) ? (
+        <td className="p-3 align-top w-28 text-gray-400">—</td>
+      ) : (
       <td className="p-2 align-top w-28 font-semibold tabular-nums">
         <input
           className="w-full rounded border border-gray-200 p-1 bg-gray-50 text-gray-700"
@@ -131,17 +1198,50 @@ function SortableRow({ row, onChange, onDelete, onSelect, isSelected, onDuplicat
           onChange={(e) => onChange(row.id, { acreage: toNum(e.target.value) })}
         />
       </td>
+      )}
 
-      <td className="p-2 align-top w-28 font-semibold tabular-nums">
+      {isGap(row) ? (
+        <td className="p-3 align-top w-28 text-gray-400">—</td>
+      ) : (
+      <td className="p-2 align-top w-28 font-semibold tabular-nums relative">
         <input
-          className="w-full rounded border border-gray-200 p-1"
+          className={`w-full rounded border border-gray-200 p-1 ${hasComposition(row) ? "bg-gray-50 text-gray-700" : ""}`}
           type="number"
           step="1"
           min="0"
           value={row.herdSize}
+          readOnly={hasComposition(row)}
+          title={hasComposition(row) ? compositionLabel(row, auClasses) : "Head count (1 AU per head unless broken down by class)"}
           onChange={(e) => onChange(row.id, { herdSize: toNum(e.target.value) })}
         />
+        <button
+          className="mt-1 text-[11px] font-normal text-blue-700 hover:underline"
+          onClick={(e) => { e.stopPropagation(); setShowComposition(v => !v); }}
+          title="Break the herd down by animal class"
+        >
+          {row.animalUnits ?? row.herdSize} AU
+        </button>
+        {showComposition && (
+          <div className="absolute left-0 top-full z-20 w-56 rounded-lg border border-gray-200 bg-white p-2 shadow" onClick={(e) => e.stopPropagation()}>
+            {auClasses.map(c => (
+              <label key={c.id} className="flex items-center justify-between gap-2 text-xs font-normal py-0.5">
+                <span>{c.label} <span className="text-gray-400">×{c.factor}</span></span>
+                <input
+                  className="w-16 rounded border border-gray-200 p-1"
+                  type="number" min="0" step="1"
+                  value={row.composition?.[c.id] ?? ""}
+                  onChange={(e) => onChange(row.id, { composition: { ...(row.composition || {}), [c.id]: toNum(e.target.value) } })}
+                />
+              </label>
+            ))}
+            <div className="mt-1 flex justify-between text-[11px]">
+              <button className="text-red-600 hover:underline" onClick={() => onChange(row.id, { composition: {} })}>Clear</button>
+              <button className="text-gray-600 hover:underline" onClick={() => setShowComposition(false)}>Done</button>
+            </div>
+          </div>
+        )}
       </td>
+      )}
 
       <td className="p-3 align-top w-32 font-semibold tabular-nums text-gray-700">{row.prevPlannedADA ?? "—"}</td>
       <td className="p-3 align-top w-34 font-semibold tabular-nums text-gray-700">{row.prevActualADA ?? "—"}</td>
@@ -161,11 +1261,50 @@ function SortableRow({ row, onChange, onDelete, onSelect, isSelected, onDuplicat
 
       <td className="p-3 align-top w-28 font-semibold tabular-nums">{row.proposedADA}</td>
 
-      <td className={`p-2 align-top w-28 ${tdSummerCls}`}>
-        <input className={`${inputBase} ${inputSummerCls} bg-white`} type="date" value={row.startDate} readOnly />
+      <td className={`p-2 align-top w-28 ${tdWindowCls}`} style={tdWindowStyle} title={windowTitle}>
+        <div className="flex items-center gap-1">
+          <input
+            className={`${inputBase} ${inputWindowCls} ${row.pinnedStart ? "bg-amber-50 font-semibold" : "bg-white"}`}
+            style={inputWindowStyle}
+            type="date"
+            value={row.pinnedStart || row.startDate}
+            readOnly={!row.pinnedStart}
+            onChange={(e) => onChange(row.id, { pinnedStart: toISO(e.target.value) })}
+          />
+          <button
+            className="rounded p-0.5 hover:bg-amber-50"
+            title={row.pinnedStart ? "Unpin start date" : "Pin this start date"}
+            onClick={(e) => {
+              e.stopPropagation();
+              onChange(row.id, { pinnedStart: row.pinnedStart ? "" : row.startDate || format(new Date(), "yyyy-MM-dd") });
+            }}
+          >
+            {row.pinnedStart ? <PinOff className="h-4 w-4 text-amber-600" /> : <Pin className="h-4 w-4 text-gray-400" />}
+          </button>
+        </div>
+        {row.pinConflictDays > 0 && (
+          <div className="mt-1 text-[11px] font-semibold text-red-600" title="The stays before this pin don't fit before its date">
+            Earlier stays run {row.pinConflictDays} d past pin
+          </div>
+        )}
+        {row.pinEarlyDays > 0 && (
+          <div className="mt-1 text-[11px] font-semibold text-amber-700" title="The herd's first stay is pinned before the herd's season start">
+            Pin is {row.pinEarlyDays} d before season start
+          </div>
+        )}
+        {row.idleDaysBefore > 0 && (
+          <div className="mt-1 text-[11px] text-gray-500">{row.idleDaysBefore} idle d before pin</div>
+        )}
       </td>
-      <td className={`p-2 align-top w-28 ${tdSummerCls}`}>
-        <input className={`${inputBase} ${inputSummerCls} bg-white`} type="date" value={row.endDate} readOnly />
+      <td className={`p-2 align-top w-28 ${tdWindowCls}`} style={tdWindowStyle} title={windowTitle}>
+        <input className={`${inputBase} ${inputWindowCls} bg-white`} style={inputWindowStyle} type="date" value={row.endDate} readOnly />
+        {windows.length > 0 && (
+          <div className="mt-1 flex flex-wrap gap-1">
+            {windows.map(w => (
+              <span key={w.id} className="inline-block h-2 w-2 rounded-full" style={{ backgroundColor: w.color }} title={w.name} />
+            ))}
+          </div>
+        )}
       </td>
 
       <td className="p-2 align-top w-32">
@@ -205,11 +1344,12 @@ function SortableRow({ row, onChange, onDelete, onSelect, isSelected, onDuplicat
 
 
 /* ---------------- Drafts Sidebar ---------------- */
-function DraftsSidebar({ draftsByYear, onSaveDraft, onLoadDraft, onDeleteDraft, fullWidth = false }) {
+function DraftsSidebar({ draftsByYear, finalByYear = {}, onSaveDraft, onLoadDraft, onDeleteDraft, onExportDraftICS, onCompareDraft, onUpdateDraft, onDuplicateDraft, onToggleFinal, fullWidth = false }) {
   const [openYears, setOpenYears] = useState(() => {
     const y = String(new Date().getFullYear());
     return { [y]: true };
   });
+  const [editingId, setEditingId] = useState(null);
 
   const toggleYear = (y) => setOpenYears((prev) => ({ ...prev, [y]: !prev[y] }));
 
@@ -237,7 +1377,7 @@ function DraftsSidebar({ draftsByYear, onSaveDraft, onLoadDraft, onDeleteDraft,
 
         {years.map((y) => {
           const arr = draftsByYear[y] || [];
-          const items = arr.map((d, idx) => ({ ...d, displayName: `Draft ${idx + 1}` }));
+          const items = arr.map((d, idx) => ({ ...d, displayName: d.name || `Draft ${idx + 1}` }));
 
           return (
             <div key={y} className="rounded-md border border-gray-200 bg-gray-50/60">
@@ -248,6 +1388,7 @@ function DraftsSidebar({ draftsByYear, onSaveDraft, onLoadDraft, onDeleteDraft,
                 {openYears[y] ? <ChevronDown className="h-4 w-4 text-gray-500" /> : <ChevronRight className="h-4 w-4 text-gray-500" />}
                 <Folder className="h-4 w-4 text-amber-600" />
                 <span className="text-sm font-medium">{y}</span>
+                {finalByYear[y] && <span title="Has a final plan"><Star className="h-3 w-3 fill-emerald-600 text-emerald-600" /></span>}
                 <span className="ml-auto text-[11px] text-gray-500">
                   {arr.length} draft{arr.length === 1 ? "" : "s"}
                 </span>
@@ -255,31 +1396,76 @@ function DraftsSidebar({ draftsByYear, onSaveDraft, onLoadDraft, onDeleteDraft,
 
               {openYears[y] && (
                 <ul className="px-2 pb-2 space-y-1">
-                  {items.map((d) => (
-                    <li key={d.id} className="flex items-center gap-2 rounded bg-white border border-gray-200 px-2 py-1">
-                      <FileText className="h-4 w-4 text-gray-500" />
-                      <div className="flex-1">
-                        <div className="text-xs font-medium">{d.displayName}</div>
-                        <div className="text-[10px] text-gray-500">
-                          {d.startDate ? `Start ${d.startDate}` : "No season start"} • {new Date(d.ts).toLocaleString()}
+                  {items.map((d) => {
+                    const isFinal = finalByYear[y] === d.id;
+                    const editing = editingId === d.id && !isFinal;
+                    const btn = "text-xs px-2 py-1 rounded border border-gray-200 hover:bg-gray-50";
+                    return (
+                      <li key={d.id} className={`rounded border px-2 py-1 ${isFinal ? "border-emerald-400 bg-emerald-50 ring-1 ring-emerald-300" : "border-gray-200 bg-white"}`}>
+                        <div className="flex items-center gap-2">
+                          {isFinal ? <Lock className="h-4 w-4 text-emerald-700" /> : <FileText className="h-4 w-4 text-gray-500" />}
+                          <div className="flex-1 min-w-0">
+                            {editing ? (
+                              <input
+                                className="w-full rounded border border-gray-200 p-0.5 text-xs font-medium"
+                                value={d.name || ""}
+                                placeholder={d.displayName}
+                                autoFocus
+                                onChange={(e) => onUpdateDraft(y, d.id, { name: e.target.value })}
+                              />
+                            ) : (
+                              <div className="text-xs font-medium truncate">
+                                {d.displayName}
+                                {isFinal && <span className="ml-1 rounded bg-emerald-600 px-1 text-[10px] font-semibold text-white">FINAL {y}</span>}
+                              </div>
+                            )}
+                            <div className="text-[10px] text-gray-500">
+                              {d.startDate ? `Start ${d.startDate}` : "No season start"} • {new Date(d.ts).toLocaleString()}
+                            </div>
+                          </div>
                         </div>
-                      </div>
-                      <button
-                        className="text-xs px-2 py-1 rounded border border-gray-200 hover:bg-gray-50"
-                        onClick={() => onLoadDraft(y, d.id)}
-                        title="Load this draft into the table"
-                      >
-                        Load
-                      </button>
-                      <button
-                        className="text-xs px-2 py-1 rounded border border-red-200 text-red-600 hover:bg-red-50"
-                        onClick={() => onDeleteDraft(y, d.id)}
-                        title="Delete draft"
-                      >
-                        Delete
-                      </button>
-                    </li>
-                  ))}
+                        {editing ? (
+                          <textarea
+                            className="mt-1 w-full rounded border border-gray-200 p-1 text-[11px]"
+                            rows={2}
+                            value={d.description || ""}
+                            placeholder="What's different about this draft?"
+                            onChange={(e) => onUpdateDraft(y, d.id, { description: e.target.value })}
+                          />
+                        ) : d.description ? (
+                          <div className="mt-1 text-[11px] text-gray-600 whitespace-pre-wrap">{d.description}</div>
+                        ) : null}
+                        <div className="mt-1 flex flex-wrap gap-1">
+                          <button className={btn} onClick={() => onLoadDraft(y, d.id)} title="Load this draft into the table">Load</button>
+                          <button className={btn} onClick={() => onCompareDraft(y, d.id)} title="Compare this draft with the current table">Compare</button>
+                          <button className={btn} onClick={() => onExportDraftICS(y, d.id)} title="Export this draft's moves as a calendar (.ics)">.ics</button>
+                          <button className={btn} onClick={() => onDuplicateDraft(y, d.id)} title="Copy this draft to edit the copy">Duplicate</button>
+                          {!isFinal && (
+                            <button className={btn} onClick={() => setEditingId(editing ? null : d.id)} title="Rename and describe this draft">
+                              {editing ? "Done" : "Edit"}
+                            </button>
+                          )}
+                          <button
+                            className={`${btn} ${isFinal ? "text-emerald-700" : ""}`}
+                            onClick={() => onToggleFinal(y, d.id)}
+                            title={isFinal ? "Unmark as the final plan (unlocks it)" : `Mark as the final ${y} plan; it is locked and feeds Save plan → Prev Planned`}
+                          >
+                            <Star className={`mr-0.5 inline h-3 w-3 ${isFinal ? "fill-emerald-600" : ""}`} />
+                            {isFinal ? "Final" : "Make final"}
+                          </button>
+                          {!isFinal && (
+                            <button
+                              className="text-xs px-2 py-1 rounded border border-red-200 text-red-600 hover:bg-red-50"
+                              onClick={() => onDeleteDraft(y, d.id)}
+                              title="Delete draft"
+                            >
+                              Delete
+                            </button>
+                          )}
+                        </div>
+                      </li>
+                    );
+                  })}
                 </ul>
               )}
             </div>
@@ -290,13 +1476,1435 @@ function DraftsSidebar({ draftsByYear, onSaveDraft, onLoadDraft, onDeleteDraft,
   );
 }
 
-/* ---------------- Static SVG Map ---------------- */
-function StaticMap({ rows, featureByPasture, allFeatures, svgRef }) {
-  const features = React.useMemo(() => {
-    const picked = rows.map(r => featureByPasture[String(r.pasture || '').toLowerCase()]).filter(Boolean);
-    return picked.length ? picked : allFeatures;
-  }, [rows, featureByPasture, allFeatures]);
-
+/* ---------------- Draft comparison ---------------- */
+function planSummary(list) {
+  const stays = list.filter(r => !isGap(r) && toNum(r.grazingDays) > 0);
+  const dated = list.filter(r => r.startDate && r.endDate && toNum(r.grazingDays) > 0);
+  return {
+    stays: stays.length,
+    pastures: new Set(stays.map(r => String(r.pasture || "").trim().toLowerCase())).size,
+    totalDays: list.reduce((s, r) => s + Math.max(0, toNum(r.grazingDays)), 0),
+    totalADA: +stays.reduce((s, r) => s + toNum(r.proposedADA), 0).toFixed(2),
+    start: dated.map(r => r.startDate).sort()[0] || "",
+    end: dated.map(r => r.endDate).sort().at(-1) || "",
+  };
+}
+
+// per-pasture differences between two plans; seq is the stay's position in table order
+function comparePlans(a, b) {
+  const byPasture = (list) => {
+    const m = new Map();
+    let seq = 0;
+    for (const r of list) {
+      if (isGap(r) || toNum(r.grazingDays) <= 0) continue;
+      seq++;
+      const k = String(r.pasture || "").trim().toLowerCase();
+      if (!k) continue;
+      const e = m.get(k) || { pasture: r.pasture, seq: [], days: 0, ada: 0, start: "" };
+      e.seq.push(seq);
+      e.days += toNum(r.grazingDays);
+      e.ada = +(e.ada + toNum(r.proposedADA)).toFixed(2);
+      if (r.startDate && (!e.start || r.startDate < e.start)) e.start = r.startDate;
+      m.set(k, e);
+    }
+    return m;
+  };
+  const A = byPasture(a), B = byPasture(b);
+  const rows = [...new Set([...A.keys(), ...B.keys()])].map(k => {
+    const x = A.get(k) || null, y = B.get(k) || null;
+    const shift = x?.start && y?.start ? daysBetweenISO(x.start, y.start) : null;
+    const changed = x && y && (x.seq.join() !== y.seq.join() || x.days !== y.days || x.ada !== y.ada || shift);
+    return {
+      key: k,
+      pasture: (y || x).pasture,
+      a: x,
+      b: y,
+      dDays: (y?.days || 0) - (x?.days || 0),
+      dADA: +((y?.ada || 0) - (x?.ada || 0)).toFixed(2),
+      shift,
+      status: !x ? "added" : !y ? "removed" : changed ? "changed" : "same",
+    };
+  });
+  const firstSeq = (r) => Math.min(r.b?.seq[0] ?? Infinity, r.a?.seq[0] ?? Infinity);
+  rows.sort((p, q) => firstSeq(p) - firstSeq(q));
+  return { rows, totals: { a: planSummary(a), b: planSummary(b) } };
+}
+
+function DraftComparePanel({ sources, ids, onIdsChange, onClose, preparePlan, featureByPasture, allFeatures, adjacency }) {
+  const [changesOnly, setChangesOnly] = useState(false);
+  const svgRefA = useRef(null);
+  const svgRefB = useRef(null);
+  // the panel sits below the table, so bring it into view whenever a comparison is opened
+  const panelRef = useRef(null);
+  useEffect(() => { panelRef.current?.scrollIntoView({ behavior: "smooth", block: "start" }); }, [ids.opened]);
+  const srcA = sources.find(s => s.id === ids.a);
+  const srcB = sources.find(s => s.id === ids.b);
+  if (!srcA || !srcB) return null;
+  const planA = preparePlan(srcA);
+  const planB = preparePlan(srcB);
+  const { rows, totals } = comparePlans(planA.rows, planB.rows);
+  const shown = changesOnly ? rows.filter(r => r.status !== "same") : rows;
+  const count = (st) => rows.filter(r => r.status === st).length;
+
+  const signed = (v, unit = "") => (v == null || v === 0 ? "—" : `${v > 0 ? "+" : ""}${v}${unit}`);
+  const statusCls = { added: "bg-emerald-50", removed: "bg-red-50", changed: "bg-amber-50", same: "" };
+  const totalRows = [
+    ["Stays", "stays"],
+    ["Pastures used", "pastures"],
+    ["Total grazing days", "totalDays"],
+    ["Total proposed ADA", "totalADA"],
+    ["First move in", "start"],
+    ["Last move out", "end"],
+  ];
+
+  const picker = (side) => (
+    <select className="rounded border border-gray-200 p-1 text-sm" value={ids[side]} onChange={(e) => onIdsChange({ ...ids, [side]: e.target.value })}>
+      {sources.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+    </select>
+  );
+
+  return (
+    <div ref={panelRef} className="mt-4 rounded-xl border border-gray-200 bg-white shadow-sm">
+      <div className="p-3 flex flex-wrap items-center gap-3 border-b border-gray-100">
+        <span className="font-semibold text-sm">Compare Drafts</span>
+        <span className="flex items-center gap-1 text-sm"><b className="text-gray-500">A</b> {picker("a")}</span>
+        <span className="flex items-center gap-1 text-sm"><b className="text-gray-500">B</b> {picker("b")}</span>
+        <span className="text-xs text-gray-600">{count("changed")} changed · {count("added")} only in B · {count("removed")} only in A</span>
+        <label className="flex items-center gap-1 text-xs">
+          <input type="checkbox" checked={changesOnly} onChange={(e) => setChangesOnly(e.target.checked)} /> Changes only
+        </label>
+        <button className="ml-auto text-xs text-gray-600 hover:underline" onClick={onClose}>close</button>
+      </div>
+
+      <div className="p-3 grid grid-cols-1 lg:grid-cols-[280px_1fr] gap-4">
+        <table className="text-sm self-start">
+          <thead className="text-left text-xs uppercase text-gray-500">
+            <tr><th className="p-1"></th><th className="p-1">A</th><th className="p-1">B</th><th className="p-1">Δ</th></tr>
+          </thead>
+          <tbody>
+            {totalRows.map(([label, k]) => {
+              const x = totals.a[k], y = totals.b[k];
+              const d = typeof x === "number" ? +(y - x).toFixed(2) : x && y ? daysBetweenISO(x, y) : null;
+              return (
+                <tr key={k} className="border-t border-gray-100">
+                  <td className="p-1 text-gray-600">{label}</td>
+                  <td className="p-1 tabular-nums">{x || "—"}</td>
+                  <td className="p-1 tabular-nums">{y || "—"}</td>
+                  <td className={`p-1 tabular-nums ${d ? "font-semibold" : "text-gray-400"}`}>{signed(d, typeof x === "number" ? "" : " d")}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        <div className="overflow-auto max-h-[420px]">
+          <table className="w-full text-xs">
+            <thead className="sticky top-0 bg-white text-left uppercase text-gray-500">
+              <tr>
+                <th className="p-1">Pasture</th>
+                <th className="p-1">Seq A → B</th>
+                <th className="p-1">Days A / B</th>
+                <th className="p-1">Δ days</th>
+                <th className="p-1">ADA A / B</th>
+                <th className="p-1">Δ ADA</th>
+                <th className="p-1">Start A / B</th>
+                <th className="p-1">Shift</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map(r => (
+                <tr key={r.key} className={`border-t border-gray-100 ${statusCls[r.status]}`}>
+                  <td className="p-1 font-medium">
+                    {r.pasture}
+                    {r.status === "added" && <span className="ml-1 text-[10px] text-emerald-700">only B</span>}
+                    {r.status === "removed" && <span className="ml-1 text-[10px] text-red-700">only A</span>}
+                  </td>
+                  <td className={`p-1 tabular-nums ${r.a && r.b && r.a.seq.join() !== r.b.seq.join() ? "font-semibold" : ""}`}>
+                    {r.a ? r.a.seq.join(", ") : "—"} → {r.b ? r.b.seq.join(", ") : "—"}
+                  </td>
+                  <td className="p-1 tabular-nums">{r.a?.days ?? "—"} / {r.b?.days ?? "—"}</td>
+                  <td className="p-1 tabular-nums">{signed(r.dDays)}</td>
+                  <td className="p-1 tabular-nums">{r.a?.ada ?? "—"} / {r.b?.ada ?? "—"}</td>
+                  <td className={`p-1 tabular-nums ${r.dADA > 0 ? "text-red-700" : r.dADA < 0 ? "text-emerald-700" : ""}`}>{signed(r.dADA)}</td>
+                  <td className="p-1 tabular-nums">{r.a?.start || "—"} / {r.b?.start || "—"}</td>
+                  <td className="p-1 tabular-nums">{signed(r.shift, " d")}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {allFeatures.length > 0 && (
+        <div className="p-3 pt-0 grid grid-cols-1 md:grid-cols-2 gap-4">
+          {[[srcA, planA, svgRefA, "A"], [srcB, planB, svgRefB, "B"]].map(([src, plan, ref, side]) => (
+            <div key={side} className="rounded-lg border border-gray-200">
+              <div className="px-2 py-1 text-xs font-semibold border-b border-gray-100">{side}: {src.label}</div>
+              <div className="h-[360px]">
+                <StaticMap
+                  rows={plan.rows}
+                  featureByPasture={featureByPasture}
+                  allFeatures={allFeatures}
+                  svgRef={ref}
+                  herds={plan.herds}
+                  moves={checkMoves(plan.rows, adjacency, plan.herds)}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ---------------- Animal Units Panel ---------------- */
+function AnimalUnitsPanel({ auClasses, onChange, onRemove }) {
+  const [open, setOpen] = useState(false);
+
+  function updateClass(id, patch) { onChange(auClasses.map(c => (c.id === id ? { ...c, ...patch } : c))); }
+  function addClass() { onChange([...auClasses, { id: crypto.randomUUID(), label: "New class", factor: 1 }]); }
+
+  return (
+    <div className="mt-4 rounded-xl border border-gray-200 bg-white shadow-sm">
+      <div className="p-3 flex flex-wrap items-center gap-3 border-b border-gray-100">
+        <button className="flex items-center gap-1 font-semibold text-sm" onClick={() => setOpen(o => !o)}>
+          {open ? <ChevronDown className="h-4 w-4 text-gray-500" /> : <ChevronRight className="h-4 w-4 text-gray-500" />}
+          Animal Units
+        </button>
+        <span className="text-xs text-gray-600">
+          {auClasses.map(c => `${c.label} ${c.factor}`).join(" · ")}
+        </span>
+      </div>
+
+      {open && (
+        <div className="p-3 text-sm">
+          <div className="text-[11px] text-gray-500 mb-2">AU-equivalent per head. Click a row's AU figure to break its herd down by class.</div>
+          <ul className="space-y-1">
+            {auClasses.map(c => (
+              <li key={c.id} className="flex items-center gap-2 text-xs">
+                <input className="w-44 rounded border border-gray-200 p-1" value={c.label} onChange={(e) => updateClass(c.id, { label: e.target.value })} />
+                <input className="w-20 rounded border border-gray-200 p-1" type="number" min="0" step="0.01" value={c.factor} onChange={(e) => updateClass(c.id, { factor: toNum(e.target.value) })} />
+                AU / head
+                <button className="text-red-600 hover:underline" onClick={() => onRemove(c.id)}>remove</button>
+              </li>
+            ))}
+          </ul>
+          <button className="mt-2 rounded border border-gray-200 px-2 py-1 text-xs hover:bg-gray-50" onClick={addClass}>
+            Add class
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ---------------- Herds Panel ---------------- */
+function HerdsPanel({ herds, onChange, rows, startDate }) {
+  const [open, setOpen] = useState(true);
+
+  function updateHerd(id, patch) { onChange(herds.map(h => (h.id === id ? { ...h, ...patch } : h))); }
+  function addHerd() {
+    const color = HERD_COLORS[herds.length % HERD_COLORS.length];
+    onChange([...herds, { id: crypto.randomUUID(), name: `Herd ${herds.length + 1}`, startDate: "", color }]);
+  }
+  function removeHerd(id) {
+    if (herds.length <= 1) return;
+    if (!confirm("Remove this herd? Its rows move to the first remaining herd.")) return;
+    onChange(herds.filter(h => h.id !== id));
+  }
+
+  const stats = herds.map(h => {
+    const mine = rows.filter(r => herdOf(r, herds).id === h.id);
+    const dated = mine.filter(r => r.endDate);
+    return {
+      herd: h,
+      rowCount: mine.length,
+      totalDays: mine.reduce((s, r) => s + Math.max(0, toNum(r.grazingDays)), 0),
+      totalADA: +mine.reduce((s, r) => s + toNum(r.proposedADA), 0).toFixed(2),
+      totalAUD: Math.round(mine.reduce((s, r) => s + Math.max(0, toNum(r.grazingDays)) * rowAU(r), 0)),
+      seasonEnd: dated.length ? dated[dated.length - 1].endDate : "",
+    };
+  });
+
+  // proposed ADA per pasture, split by herd and combined
+  const byPasture = new Map();
+  for (const r of rows) {
+    const k = String(r.pasture || "").trim().toLowerCase();
+    if (!k || isGap(r)) continue;
+    const p = byPasture.get(k) || { pasture: r.pasture, byHerd: {}, combined: 0 };
+    const hid = herdOf(r, herds).id;
+    p.byHerd[hid] = +((p.byHerd[hid] || 0) + toNum(r.proposedADA)).toFixed(2);
+    p.combined = +(p.combined + toNum(r.proposedADA)).toFixed(2);
+    byPasture.set(k, p);
+  }
+  const shared = [...byPasture.values()].filter(p => Object.keys(p.byHerd).length > 1);
+
+  return (
+    <div className="mt-4 rounded-xl border border-gray-200 bg-white shadow-sm">
+      <div className="p-3 flex flex-wrap items-center gap-3 border-b border-gray-100">
+        <button className="flex items-center gap-1 font-semibold text-sm" onClick={() => setOpen(o => !o)}>
+          {open ? <ChevronDown className="h-4 w-4 text-gray-500" /> : <ChevronRight className="h-4 w-4 text-gray-500" />}
+          Herds
+        </button>
+        <span className="text-xs text-gray-600">
+          Combined: <b>{stats.reduce((s, x) => s + x.totalDays, 0)}</b> herd-days · <b>{stats.reduce((s, x) => s + x.totalAUD, 0)}</b> AU-days · ADA <b>{+stats.reduce((s, x) => s + x.totalADA, 0).toFixed(2)}</b>
+        </span>
+        <button className="ml-auto rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50" onClick={addHerd}>
+          <Plus className="mr-1 inline h-4 w-4" /> Add Herd
+        </button>
+      </div>
+
+      {open && (
+        <div className="p-3 text-sm space-y-3">
+          <table className="w-full text-sm">
+            <thead className="text-left text-xs uppercase text-gray-500">
+              <tr>
+                <th className="p-1"></th>
+                <th className="p-1">Herd</th>
+                <th className="p-1">Season Start</th>
+                <th className="p-1">Rows</th>
+                <th className="p-1">Days</th>
+                <th className="p-1">AU-days</th>
+                <th className="p-1">Total ADA</th>
+                <th className="p-1">Ends</th>
+                <th className="p-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.map(({ herd: h, rowCount, totalDays, totalAUD, totalADA, seasonEnd }) => (
+                <tr key={h.id} className="border-t border-gray-100">
+                  <td className="p-1 w-10"><input type="color" className="h-7 w-8 rounded border border-gray-200" value={h.color} onChange={(e) => updateHerd(h.id, { color: e.target.value })} /></td>
+                  <td className="p-1"><input className="w-40 rounded border border-gray-200 p-1" value={h.name} onChange={(e) => updateHerd(h.id, { name: e.target.value })} /></td>
+                  <td className="p-1">
+                    <input className="rounded border border-gray-200 p-1" type="date" value={h.startDate || ""} onChange={(e) => updateHerd(h.id, { startDate: toISO(e.target.value) })} />
+                    {!h.startDate && <span className="ml-1 text-[11px] text-gray-500">uses {startDate || "Season Start"}</span>}
+                  </td>
+                  <td className="p-1 tabular-nums">{rowCount}</td>
+                  <td className="p-1 tabular-nums">{totalDays}</td>
+                  <td className="p-1 tabular-nums">{totalAUD}</td>
+                  <td className="p-1 tabular-nums">{totalADA}</td>
+                  <td className="p-1 tabular-nums">{seasonEnd || "—"}</td>
+                  <td className="p-1 text-right">
+                    {herds.length > 1 && <button className="text-xs text-red-600 hover:underline" onClick={() => removeHerd(h.id)}>remove</button>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {shared.length > 0 && (
+            <div>
+              <h4 className="font-semibold text-xs uppercase text-gray-500 mb-1">Pastures grazed by more than one herd</h4>
+              <table className="w-full text-xs">
+                <thead className="text-left text-gray-500">
+                  <tr>
+                    <th className="p-1">Pasture</th>
+                    {herds.map(h => <th key={h.id} className="p-1">{h.name} ADA</th>)}
+                    <th className="p-1">Combined ADA</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {shared.map(p => (
+                    <tr key={p.pasture} className="border-t border-gray-100">
+                      <td className="p-1 font-medium">{p.pasture}</td>
+                      {herds.map(h => <td key={h.id} className="p-1 tabular-nums">{p.byHerd[h.id] ?? "—"}</td>)}
+                      <td className="p-1 tabular-nums font-semibold">{p.combined}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ---------------- Actual Use Panel ---------------- */
+function ActualUsePanel({ rows, onChange, onCloseSeason }) {
+  const [open, setOpen] = useState(false);
+  const stays = rows.filter(r => !isGap(r));
+  const recorded = stays.filter(r => computeActualUse(r));
+  const plannedTotal = +rows.reduce((s, r) => s + toNum(r.proposedADA), 0).toFixed(2);
+  const actualTotal = +recorded.reduce((s, r) => s + computeActualUse(r).ada, 0).toFixed(2);
+  const shiftLabel = (d) => (d == null || d === 0 ? "on time" : d < 0 ? `${-d} d early` : `${d} d late`);
+  const shiftCls = (d) => (d == null || d === 0 ? "text-gray-500" : "text-amber-700 font-semibold");
+  const setActual = (r, patch) => onChange(r.id, { actual: { inDate: "", outDate: "", headCount: "", notes: "", ...(r.actual || {}), ...patch } });
+
+  return (
+    <div className="mt-4 rounded-xl border border-gray-200 bg-white shadow-sm">
+      <div className="p-3 flex flex-wrap items-center gap-3 border-b border-gray-100">
+        <button className="flex items-center gap-1 font-semibold text-sm" onClick={() => setOpen(o => !o)}>
+          {open ? <ChevronDown className="h-4 w-4 text-gray-500" /> : <ChevronRight className="h-4 w-4 text-gray-500" />}
+          Actual Use
+        </button>
+        <span className="text-xs text-gray-600">
+          {recorded.length} of {stays.filter(r => toNum(r.grazingDays) > 0).length} stays recorded · planned ADA <b>{plannedTotal}</b> · actual ADA <b>{actualTotal}</b>
+        </span>
+        <button
+          className="ml-auto rounded-lg bg-indigo-600 px-3 py-2 text-black shadow hover:bg-indigo-700 text-sm"
+          onClick={onCloseSeason}
+          title="Write planned and actual ADA per pasture into Prev. Planned / Prev. Actual"
+        >
+          Close Season → Prev Planned & Actual
+        </button>
+      </div>
+
+      {open && (
+        <div className="p-3 overflow-auto">
+          <table className="w-full text-sm">
+            <thead className="text-left text-xs uppercase text-gray-500">
+              <tr>
+                <th className="p-1">Pasture</th>
+                <th className="p-1">Planned</th>
+                <th className="p-1">Actual In</th>
+                <th className="p-1">Actual Out</th>
+                <th className="p-1">Head</th>
+                <th className="p-1">Move In</th>
+                <th className="p-1">Move Out</th>
+                <th className="p-1">Planned ADA</th>
+                <th className="p-1">Actual ADA</th>
+                <th className="p-1">Notes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stays.map(r => {
+                const u = computeActualUse(r);
+                return (
+                  <tr key={r.id} className="border-t border-gray-100">
+                    <td className="p-1 font-medium">{r.pasture || "—"}</td>
+                    <td className="p-1 text-xs text-gray-600 tabular-nums">{r.startDate ? `${r.startDate} → ${r.endDate}` : "—"}</td>
+                    <td className="p-1"><input className="rounded border border-gray-200 p-1" type="date" value={r.actual?.inDate || ""} onChange={(e) => setActual(r, { inDate: toISO(e.target.value) })} /></td>
+                    <td className="p-1"><input className="rounded border border-gray-200 p-1" type="date" value={r.actual?.outDate || ""} onChange={(e) => setActual(r, { outDate: toISO(e.target.value) })} /></td>
+                    <td className="p-1">
+                      <input
+                        className="w-20 rounded border border-gray-200 p-1" type="number" min="0" step="1"
+                        placeholder={String(r.herdSize)}
+                        value={r.actual?.headCount ?? ""}
+                        onChange={(e) => setActual(r, { headCount: e.target.value === "" ? "" : toNum(e.target.value) })}
+                      />
+                    </td>
+                    <td className={`p-1 text-xs ${shiftCls(u?.inShift)}`}>{u ? shiftLabel(u.inShift) : ""}</td>
+                    <td className={`p-1 text-xs ${shiftCls(u?.outShift)}`}>{u ? shiftLabel(u.outShift) : ""}</td>
+                    <td className="p-1 tabular-nums">{r.proposedADA}</td>
+                    <td className={`p-1 tabular-nums font-semibold ${u && u.ada > toNum(r.proposedADA) ? "text-red-600" : ""}`}>{u ? u.ada : "—"}</td>
+                    <td className="p-1"><input className="w-40 rounded border border-gray-200 p-1" value={r.actual?.notes || ""} onChange={(e) => setActual(r, { notes: e.target.value })} /></td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ---------------- Forage Budget Panel ---------------- */
+function ForageBudgetPanel({ rows, budget, onBudgetChange, onApply, startDate, herds }) {
+  const [open, setOpen] = useState(false);
+  const { suggestedDays } = useMemo(() => solveForageBudget(rows, budget), [rows, budget]);
+  const summary = useMemo(() => summarizeForageBudget(rows, budget), [rows, budget]);
+  const seasonEnd = startDate && toNum(budget.seasonLength) > 0 ? addDaysISO(startDate, toNum(budget.seasonLength) - 1) : "";
+  const fmtBalance = (v) => (v == null ? "—" : v >= 0 ? `+${v}` : `${v}`);
+  const balanceCls = (v) => (v == null ? "text-gray-400" : v >= 0 ? "text-emerald-700" : "text-red-600");
+
+  return (
+    <div className="mt-4 rounded-xl border border-gray-200 bg-white shadow-sm">
+      <div className="p-3 flex flex-wrap items-center gap-3 border-b border-gray-100">
+        <button className="flex items-center gap-1 font-semibold text-sm" onClick={() => setOpen(o => !o)}>
+          {open ? <ChevronDown className="h-4 w-4 text-gray-500" /> : <ChevronRight className="h-4 w-4 text-gray-500" />}
+          Forage Budget
+        </button>
+        <label className="flex items-center gap-1 text-sm">
+          Target utilization
+          <input
+            className="w-20 rounded border border-gray-200 p-1"
+            type="number" min="0" max="100" step="1"
+            value={budget.utilization}
+            onChange={(e) => onBudgetChange({ ...budget, utilization: toNum(e.target.value) })}
+          />
+          %
+        </label>
+        <label className="flex items-center gap-1 text-sm">
+          Season length
+          <input
+            className="w-20 rounded border border-gray-200 p-1"
+            type="number" min="0" step="1"
+            value={budget.seasonLength}
+            onChange={(e) => onBudgetChange({ ...budget, seasonLength: toNum(e.target.value) })}
+          />
+          days
+        </label>
+        {seasonEnd && <span className="text-xs text-gray-500">ends {seasonEnd}</span>}
+        <button
+          className="ml-auto rounded-lg bg-indigo-600 px-3 py-2 text-black shadow hover:bg-indigo-700 text-sm"
+          onClick={() => onApply(suggestedDays)}
+          title="Replace Projected Grazing Days with the suggested days"
+        >
+          Apply Suggested Days
+        </button>
+      </div>
+
+      <div className="px-3 py-2 flex flex-wrap gap-4 text-xs text-gray-600">
+        <span>Forage balance: <b className={balanceCls(summary.balanceAD)}>{fmtBalance(summary.balanceAD)} AU-days</b></span>
+        {summary.herds.map(h => (
+          <span key={h.herdId}>
+            {herdOf({ herdId: h.herdId }, herds).name}: <b>{h.totalDays}</b> days
+            {h.seasonBalanceDays != null && (
+              <b className={`ml-1 ${balanceCls(-h.seasonBalanceDays)}`}>
+                ({h.seasonBalanceDays === 0 ? "exactly fills season" : h.seasonBalanceDays > 0 ? `${h.seasonBalanceDays} days over` : `${-h.seasonBalanceDays} days short`})
+              </b>
+            )}
+          </span>
+        ))}
+      </div>
+
+      {open && (
+        <div className="px-3 pb-3 overflow-auto">
+          <table className="w-full text-sm">
+            <thead className="text-left text-xs uppercase text-gray-500">
+              <tr>
+                <th className="p-1">Pasture</th>
+                <th className="p-1">Target ADA</th>
+                <th className="p-1">Planned ADA</th>
+                <th className="p-1">Balance (AU-days)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.pastures.map(p => (
+                <tr key={p.pasture} className="border-t border-gray-100">
+                  <td className="p-1 font-medium">{p.pasture}</td>
+                  <td className="p-1 tabular-nums">{p.hasEstimate ? p.targetADA : "no estimate"}</td>
+                  <td className="p-1 tabular-nums">{p.usedADA}</td>
+                  <td className={`p-1 tabular-nums ${balanceCls(p.balanceAD)}`}>{fmtBalance(p.balanceAD)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="mt-2 text-xs text-gray-500">
+            Suggested days: {rows.filter(r => r.pasture).map(r => `${r.pasture} ${suggestedDays[r.id]}`).join(" · ")}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ---------------- Rest Period Panel ---------------- */
+function RestPeriodPanel({ rows, startDate, rules, onRulesChange, issues, onApplyOrder, herds }) {
+  const [open, setOpen] = useState(false);
+  const [proposed, setProposal] = useState(null);
+  // a proposal made before the rows changed no longer covers them
+  const proposal = proposed?.from === rows ? proposed : null;
+  const [newPasture, setNewPasture] = useState("");
+
+  const flagged = rows.filter(r => issues[r.id]?.shortBy > 0);
+  const pastureNames = [...new Set(rows.map(r => r.pasture).filter(Boolean))];
+
+  function setOverride(p, days) {
+    const byPasture = { ...(rules.byPasture || {}) };
+    if (days === null) delete byPasture[p]; else byPasture[p] = days;
+    onRulesChange({ ...rules, byPasture });
+  }
+  function updateSeason(id, patch) {
+    onRulesChange({ ...rules, seasons: (rules.seasons || []).map(se => (se.id === id ? { ...se, ...patch } : se)) });
+  }
+  function addSeason() {
+    onRulesChange({ ...rules, seasons: [...(rules.seasons || []), { id: crypto.randomUUID(), name: "Growing season", from: "04-01", to: "09-30", days: toNum(rules.defaultDays) }] });
+  }
+  function removeSeason(id) { onRulesChange({ ...rules, seasons: (rules.seasons || []).filter(se => se.id !== id) }); }
+
+  function propose() {
+    if (!startDate && herds.some(h => !h.startDate)) return alert("Set a Season Start first.");
+    setProposal({ ...proposeRestOrderAllHerds(rows, startDate, rules, herds), from: rows });
+  }
+
+  return (
+    <div className="mt-4 rounded-xl border border-gray-200 bg-white shadow-sm">
+      <div className="p-3 flex flex-wrap items-center gap-3 border-b border-gray-100">
+        <button className="flex items-center gap-1 font-semibold text-sm" onClick={() => setOpen(o => !o)}>
+          {open ? <ChevronDown className="h-4 w-4 text-gray-500" /> : <ChevronRight className="h-4 w-4 text-gray-500" />}
+          Rest Periods
+        </button>
+        <label className="flex items-center gap-1 text-sm">
+          Minimum recovery
+          <input
+            className="w-20 rounded border border-gray-200 p-1"
+            type="number" min="0" step="1"
+            value={rules.defaultDays}
+            onChange={(e) => onRulesChange({ ...rules, defaultDays: toNum(e.target.value) })}
+          />
+          days
+        </label>
+        <span className={`text-xs font-semibold ${flagged.length ? "text-red-600" : "text-emerald-700"}`}>
+          {flagged.length ? `${flagged.length} return visit${flagged.length === 1 ? "" : "s"} too early` : "All return visits rested"}
+        </span>
+        <button className="ml-auto rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50" onClick={propose}>
+          Propose Reorder
+        </button>
+      </div>
+
+      {proposal && (
+        <div className="px-3 py-2 border-b border-gray-100 text-sm">
+          <div className="text-xs text-gray-600 mb-1">
+            Suggested order ({proposal.violations === 0 ? "meets all recovery targets" : `${proposal.violations} early return${proposal.violations === 1 ? "" : "s"} remain`}):
+          </div>
+          <div className="text-xs">{proposal.order.map(r => r.pasture || "—").join(" → ")}</div>
+          <div className="mt-2 flex gap-2">
+            <button
+              className="rounded-lg bg-indigo-600 px-3 py-1 text-black shadow hover:bg-indigo-700 text-sm"
+              onClick={() => { onApplyOrder(proposal.order.map(r => r.id)); setProposal(null); }}
+            >
+              Apply Order
+            </button>
+            <button className="rounded-lg bg-white px-3 py-1 shadow border border-gray-200 text-sm hover:bg-gray-50" onClick={() => setProposal(null)}>
+              Dismiss
+            </button>
+          </div>
+        </div>
+      )}
+
+      {open && (
+        <div className="p-3 grid gap-4 md:grid-cols-2 text-sm">
+          <div>
+            <h4 className="font-semibold text-xs uppercase text-gray-500 mb-1">Early returns</h4>
+            {flagged.length === 0 && <div className="text-xs text-gray-500">None.</div>}
+            <ul className="space-y-1">
+              {flagged.map(r => (
+                <li key={r.id} className="text-xs">
+                  <b>{r.pasture}</b> on {r.startDate}: rested {issues[r.id].restDays} of {issues[r.id].requiredDays} days
+                  <span className="text-red-600"> ({issues[r.id].shortBy} short)</span>
+                </li>
+              ))}
+            </ul>
+
+            <h4 className="font-semibold text-xs uppercase text-gray-500 mt-3 mb-1">Per-pasture minimums</h4>
+            <ul className="space-y-1">
+              {Object.entries(rules.byPasture || {}).map(([p, d]) => (
+                <li key={p} className="flex items-center gap-2 text-xs">
+                  <span className="w-28 font-medium">{p}</span>
+                  <input className="w-20 rounded border border-gray-200 p-1" type="number" min="0" value={d} onChange={(e) => setOverride(p, toNum(e.target.value))} />
+                  days
+                  <button className="text-red-600 hover:underline" onClick={() => setOverride(p, null)}>remove</button>
+                </li>
+              ))}
+            </ul>
+            <div className="mt-1 flex items-center gap-2 text-xs">
+              <select className="rounded border border-gray-200 p-1" value={newPasture} onChange={(e) => setNewPasture(e.target.value)}>
+                <option value="">Pasture…</option>
+                {pastureNames.filter(p => !(p in (rules.byPasture || {}))).map(p => <option key={p} value={p}>{p}</option>)}
+              </select>
+              <button
+                className="rounded border border-gray-200 px-2 py-1 hover:bg-gray-50"
+                disabled={!newPasture}
+                onClick={() => { setOverride(newPasture, toNum(rules.defaultDays)); setNewPasture(""); }}
+              >
+                Add override
+              </button>
+            </div>
+          </div>
+
+          <div>
+            <h4 className="font-semibold text-xs uppercase text-gray-500 mb-1">Seasonal minimums</h4>
+            <div className="text-[11px] text-gray-500 mb-1">Applied by the date the herd returns (MM-DD). First match wins.</div>
+            <ul className="space-y-1">
+              {(rules.seasons || []).map(se => (
+                <li key={se.id} className="flex flex-wrap items-center gap-1 text-xs">
+                  <input className="w-32 rounded border border-gray-200 p-1" value={se.name} onChange={(e) => updateSeason(se.id, { name: e.target.value })} />
+                  <input className="w-16 rounded border border-gray-200 p-1" value={se.from} placeholder="MM-DD" onChange={(e) => updateSeason(se.id, { from: e.target.value })} />
+                  –
+                  <input className="w-16 rounded border border-gray-200 p-1" value={se.to} placeholder="MM-DD" onChange={(e) => updateSeason(se.id, { to: e.target.value })} />
+                  <input className="w-16 rounded border border-gray-200 p-1" type="number" min="0" value={se.days} onChange={(e) => updateSeason(se.id, { days: toNum(e.target.value) })} />
+                  days
+                  <button className="text-red-600 hover:underline" onClick={() => removeSeason(se.id)}>remove</button>
+                </li>
+              ))}
+            </ul>
+            <button className="mt-1 rounded border border-gray-200 px-2 py-1 text-xs hover:bg-gray-50" onClick={addSeason}>
+              Add season
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ---------------- Critical Windows Panel ---------------- */
+function CriticalWindowsPanel({ windows, onChange }) {
+  const [open, setOpen] = useState(false);
+
+  function updateWindow(id, patch) { onChange(windows.map(w => (w.id === id ? { ...w, ...patch } : w))); }
+  function addWindow() {
+    onChange([...windows, { id: crypto.randomUUID(), name: "New window", start: "05-01", end: "06-15", color: "#f59e0b", pastures: [] }]);
+  }
+  function removeWindow(id) { onChange(windows.filter(w => w.id !== id)); }
+
+  return (
+    <div className="mt-4 rounded-xl border border-gray-200 bg-white shadow-sm">
+      <div className="p-3 flex flex-wrap items-center gap-3 border-b border-gray-100">
+        <button className="flex items-center gap-1 font-semibold text-sm" onClick={() => setOpen(o => !o)}>
+          {open ? <ChevronDown className="h-4 w-4 text-gray-500" /> : <ChevronRight className="h-4 w-4 text-gray-500" />}
+          Critical Windows
+        </button>
+        {windows.map(w => (
+          <span key={w.id} className="flex items-center gap-1 text-xs text-gray-600">
+            <span className="inline-block h-3 w-3 rounded-sm" style={{ backgroundColor: w.color }} />
+            {w.name} ({w.start} → {w.end})
+          </span>
+        ))}
+      </div>
+
+      {open && (
+        <div className="p-3 text-sm">
+          <div className="text-[11px] text-gray-500 mb-2">Dates are MM-DD and repeat every year. Leave pastures blank to apply to all.</div>
+          <ul className="space-y-1">
+            {windows.map(w => (
+              <li key={w.id} className="flex flex-wrap items-center gap-1 text-xs">
+                <input type="color" className="h-7 w-8 rounded border border-gray-200" value={w.color} onChange={(e) => updateWindow(w.id, { color: e.target.value })} />
+                <input className="w-44 rounded border border-gray-200 p-1" value={w.name} onChange={(e) => updateWindow(w.id, { name: e.target.value })} />
+                <input className="w-16 rounded border border-gray-200 p-1" value={w.start} placeholder="MM-DD" onChange={(e) => updateWindow(w.id, { start: e.target.value })} />
+                –
+                <input className="w-16 rounded border border-gray-200 p-1" value={w.end} placeholder="MM-DD" onChange={(e) => updateWindow(w.id, { end: e.target.value })} />
+                <input
+                  className="w-64 rounded border border-gray-200 p-1"
+                  value={(w.pastures || []).join(", ")}
+                  placeholder="All pastures (or e.g. 1, 8, UA-E)"
+                  onChange={(e) => updateWindow(w.id, { pastures: e.target.value.split(",").map(p => p.trim()).filter(Boolean) })}
+                />
+                <button className="text-red-600 hover:underline" onClick={() => removeWindow(w.id)}>remove</button>
+              </li>
+            ))}
+          </ul>
+          <button className="mt-2 rounded border border-gray-200 px-2 py-1 text-xs hover:bg-gray-50" onClick={addWindow}>
+            Add window
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ---------------- Pasture Registry Panel ---------------- */
+function PastureRegistryPanel({ pastures, onChange, rows, featureByPasture, onAddToPlan }) {
+  const [open, setOpen] = useState(false);
+
+  const useCount = useMemo(() => {
+    const m = {};
+    for (const r of rows) if (r.pastureId) m[r.pastureId] = (m[r.pastureId] || 0) + 1;
+    return m;
+  }, [rows]);
+  const unlinked = registryFromRows(rows.filter(r => !r.pastureId));
+  const featureNames = Object.keys(featureByPasture).sort();
+
+  function updatePasture(id, patch) { onChange(pastures.map(p => (p.id === id ? { ...p, ...patch } : p))); }
+  function removePasture(p) {
+    const n = useCount[p.id] || 0;
+    if (n && !confirm(`${p.name} is used by ${n} plan row(s). Remove it from the registry? The rows keep their current name and acreage.`)) return;
+    onChange(pastures.filter(x => x.id !== p.id));
+  }
+  const featureFor = (p) => featureByPasture[String(p.featureName || p.name || "").trim().toLowerCase()];
+
+  return (
+    <div className="mt-4 rounded-xl border border-gray-200 bg-white shadow-sm">
+      <div className="p-3 flex flex-wrap items-center gap-3 border-b border-gray-100">
+        <button className="flex items-center gap-1 font-semibold text-sm" onClick={() => setOpen(o => !o)}>
+          {open ? <ChevronDown className="h-4 w-4 text-gray-500" /> : <ChevronRight className="h-4 w-4 text-gray-500" />}
+          Pasture Registry
+        </button>
+        <span className="text-xs text-gray-600">{pastures.length} pastures · {pastures.reduce((s, p) => s + toNum(p.acreage), 0).toFixed(0)} ac</span>
+        {unlinked.length > 0 && (
+          <button className="text-xs text-amber-700 hover:underline" onClick={() => onChange([...pastures, ...unlinked])} title={unlinked.map(p => p.name).join(", ")}>
+            Register {unlinked.length} unlisted plan pasture{unlinked.length === 1 ? "" : "s"}
+          </button>
+        )}
+      </div>
+
+      {open && (
+        <div className="p-3 overflow-auto">
+          <div className="text-[11px] text-gray-500 mb-2">
+            Name and acreage here apply to every linked plan row and to drafts when they are loaded. Aliases let rows and imports that use another spelling link to the pasture.
+          </div>
+          <table className="w-full text-xs">
+            <thead className="text-left uppercase text-gray-500">
+              <tr>
+                <th className="p-1">Name</th>
+                <th className="p-1">Aliases</th>
+                <th className="p-1">Acres</th>
+                <th className="p-1">Forage type</th>
+                <th className="p-1">Water</th>
+                <th className="p-1">Fence notes</th>
+                <th className="p-1">Map feature</th>
+                <th className="p-1">In plan</th>
+                <th className="p-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {pastures.map(p => {
+                const f = featureFor(p);
+                const mapped = f ? featureAcres(f) : null;
+                return (
+                  <tr key={p.id} className="border-t border-gray-100 align-top">
+                    <td className="p-1"><input className="w-28 rounded border border-gray-200 p-1 font-medium" value={p.name} onChange={(e) => updatePasture(p.id, { name: e.target.value })} /></td>
+                    <td className="p-1">
+                      <input
+                        className="w-32 rounded border border-gray-200 p-1"
+                        value={(p.aliases || []).join(", ")}
+                        placeholder="e.g. Pasture 1"
+                        onChange={(e) => updatePasture(p.id, { aliases: e.target.value.split(",").map(a => a.trim()).filter(Boolean) })}
+                      />
+                    </td>
+                    <td className="p-1">
+                      <input className="w-20 rounded border border-gray-200 p-1 tabular-nums" type="number" step="0.01" value={p.acreage} onChange={(e) => updatePasture(p.id, { acreage: toNum(e.target.value) })} />
+                      {mapped != null && Math.abs(mapped - toNum(p.acreage)) > 0.01 && (
+                        <button className="block text-[11px] text-indigo-700 hover:underline" onClick={() => updatePasture(p.id, { acreage: mapped })}>use map {mapped}</button>
+                      )}
+                    </td>
+                    <td className="p-1"><input className="w-24 rounded border border-gray-200 p-1" value={p.forageType} placeholder="native, perennial…" onChange={(e) => updatePasture(p.id, { forageType: e.target.value })} /></td>
+                    <td className="p-1"><input className="w-28 rounded border border-gray-200 p-1" value={p.waterSources} placeholder="tank, spring…" onChange={(e) => updatePasture(p.id, { waterSources: e.target.value })} /></td>
+                    <td className="p-1"><input className="w-32 rounded border border-gray-200 p-1" value={p.fenceNotes} onChange={(e) => updatePasture(p.id, { fenceNotes: e.target.value })} /></td>
+                    <td className="p-1">
+                      <select className="w-28 rounded border border-gray-200 p-1" value={p.featureName} onChange={(e) => updatePasture(p.id, { featureName: e.target.value })}>
+                        <option value="">{featureByPasture[String(p.name).trim().toLowerCase()] ? "same name" : featureNames.length ? "— none —" : "no map loaded"}</option>
+                        {featureNames.map(n => <option key={n} value={n}>{n}</option>)}
+                      </select>
+                    </td>
+                    <td className="p-1 tabular-nums">
+                      {useCount[p.id] || 0}
+                      <button className="ml-2 text-indigo-700 hover:underline" onClick={() => onAddToPlan(p)}>add row</button>
+                    </td>
+                    <td className="p-1"><button className="text-red-600 hover:underline" onClick={() => removePasture(p)}>remove</button></td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <button className="mt-2 rounded border border-gray-200 px-2 py-1 text-xs hover:bg-gray-50" onClick={() => onChange([...pastures, newPasture({ name: "New pasture" })])}>
+            Add pasture
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ---------------- Name Reconciliation Panel ---------------- */
+const RECONCILE_SOURCES = {
+  plan: "Plan row",
+  estimates: "Estimates CSV",
+  previous: "Previous season",
+  map: "Map feature",
+};
+
+function NameReconciliationPanel({ items, pastures, onLink, onRegister, onDismiss }) {
+  const [open, setOpen] = useState(false);
+  const [choice, setChoice] = useState({}); // item key → pasture id
+
+  const withSuggestions = useMemo(() => items.map(it => ({ ...it, suggestion: suggestPasture(it.name, pastures) })), [items, pastures]);
+  const targetOf = (it) => choice[it.key] ?? it.suggestion?.pasture.id ?? "";
+  const confident = withSuggestions.filter(it => it.suggestion && it.suggestion.score >= 0.8);
+
+  if (!items.length) return null;
+
+  return (
+    <div className="mt-4 rounded-xl border border-amber-300 bg-white shadow-sm">
+      <div className="p-3 flex flex-wrap items-center gap-3 border-b border-gray-100">
+        <button className="flex items-center gap-1 font-semibold text-sm" onClick={() => setOpen(o => !o)}>
+          {open ? <ChevronDown className="h-4 w-4 text-gray-500" /> : <ChevronRight className="h-4 w-4 text-gray-500" />}
+          Name Reconciliation
+        </button>
+        <span className="text-xs font-semibold text-amber-700">
+          {items.length} unmatched name{items.length === 1 ? "" : "s"}
+        </span>
+        {Object.entries(RECONCILE_SOURCES).map(([src, label]) => {
+          const n = items.filter(it => it.source === src).length;
+          return n ? <span key={src} className="text-xs text-gray-600">{label}: {n}</span> : null;
+        })}
+        {confident.length > 0 && (
+          <button
+            className="ml-auto rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50"
+            onClick={() => onLink(confident.map(it => [it, it.suggestion.pasture.id]))}
+            title="Save each name as an alias of its ≥ 80% match"
+          >
+            Link {confident.length} close match{confident.length === 1 ? "" : "es"}
+          </button>
+        )}
+      </div>
+
+      {open && (
+        <div className="p-3 overflow-auto">
+          <div className="text-[11px] text-gray-500 mb-2">
+            Linking saves the name as an alias of the registry pasture, so rows, imports and map features using it link automatically from now on.
+          </div>
+          {!pastures.length && <div className="text-xs text-gray-600 mb-2">The pasture registry is empty; register names to create pastures.</div>}
+          <table className="w-full text-xs">
+            <thead className="text-left uppercase text-gray-500">
+              <tr>
+                <th className="p-1">Name</th>
+                <th className="p-1">Source</th>
+                <th className="p-1">Match</th>
+                <th className="p-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {withSuggestions.map(it => (
+                <tr key={it.key} className="border-t border-gray-100">
+                  <td className="p-1 font-medium">{it.name}{it.detail && <span className="ml-1 text-gray-500 font-normal">{it.detail}</span>}</td>
+                  <td className="p-1">{RECONCILE_SOURCES[it.source]}</td>
+                  <td className="p-1">
+                    <select className="w-40 rounded border border-gray-200 p-1" value={targetOf(it)} onChange={(e) => setChoice(c => ({ ...c, [it.key]: e.target.value }))}>
+                      <option value="">— choose —</option>
+                      {pastures.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                    </select>
+                    {it.suggestion && !choice[it.key] && (
+                      <span className={`ml-1 ${it.suggestion.score >= 0.8 ? "text-emerald-700" : "text-amber-700"}`}>{Math.round(it.suggestion.score * 100)}%</span>
+                    )}
+                  </td>
+                  <td className="p-1 whitespace-nowrap">
+                    <button className="text-indigo-700 hover:underline disabled:opacity-40" disabled={!targetOf(it)} onClick={() => onLink([[it, targetOf(it)]])}>link</button>
+                    <button className="ml-2 text-gray-600 hover:underline" onClick={() => onRegister(it)}>register new</button>
+                    {it.source === "estimates" && <button className="ml-2 text-red-600 hover:underline" onClick={() => onDismiss(it)}>discard</button>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ---------------- CSV Import Dialog ---------------- */
+function CSVImportDialog({ pending, onPreview, onSheetChange, onCancel, onImport }) {
+  const [mapping, setMapping] = useState(pending.mapping);
+  const { columns, label } = CSV_IMPORTS[pending.kind];
+  const preview = onPreview(pending.kind, pending.data, mapping);
+  const fmt = (v) => (v == null || v === "" ? "—" : String(v));
+  const sample = (h) => pending.data.find(r => r[h] != null && String(r[h]).trim() !== "")?.[h];
+
+  return (
+    <div className="fixed inset-0 z-[1000] flex items-center justify-center bg-black/30 p-4">
+      <div className="w-full max-w-3xl rounded-xl border border-gray-200 bg-white shadow-lg">
+        <div className="p-3 border-b border-gray-100">
+          <div className="font-semibold">Import {label}</div>
+          <div className="text-xs text-gray-600">
+            {pending.fileName}{pending.sheet && <> · {pending.sheet}</>} · {pending.data.length} row{pending.data.length === 1 ? "" : "s"}
+            {pending.remembered && <> · using the mapping saved for this column layout</>}
+          </div>
+          {pending.parseErrors.map(e => <div key={e} className="text-xs text-amber-700">{e}</div>)}
+        </div>
+
+        <div className="p-3 text-sm space-y-3 max-h-[65vh] overflow-auto">
+          {pending.sheets && Object.keys(pending.sheets).length > 1 && (
+            <label className="flex items-center gap-2 text-xs">
+              Sheet
+              <select className="rounded border border-gray-200 p-1" value={pending.sheet} onChange={(e) => onSheetChange(e.target.value)}>
+                {Object.keys(pending.sheets).map(n => <option key={n} value={n}>{n} ({pending.sheets[n].data.length} rows)</option>)}
+              </select>
+            </label>
+          )}
+          <div className="grid gap-2 sm:grid-cols-3">
+            {columns.map(c => (
+              <label key={c.field} className="text-xs">
+                <div className="text-gray-600">{c.label}</div>
+                <select className="w-full rounded border border-gray-200 p-1" value={mapping[c.field] || ""} onChange={(e) => setMapping(m => ({ ...m, [c.field]: e.target.value }))}>
+                  <option value="">— not imported —</option>
+                  {pending.headers.map(h => <option key={h} value={h}>{h}</option>)}
+                </select>
+                {mapping[c.field] && <div className="text-[11px] text-gray-500 truncate">e.g. {fmt(sample(mapping[c.field]))}</div>}
+              </label>
+            ))}
+          </div>
+
+          <div className="text-xs text-gray-600">
+            {preview.changes.length} value{preview.changes.length === 1 ? "" : "s"} change · {preview.skipped.length} row{preview.skipped.length === 1 ? "" : "s"} skipped
+            {" "}· {preview.nonNumeric.length} non-numeric cell{preview.nonNumeric.length === 1 ? "" : "s"}
+            {pending.kind === "estimates" && <> · {preview.unmatched.length} unmatched name{preview.unmatched.length === 1 ? "" : "s"}</>}
+          </div>
+
+          {preview.changes.length > 0 && (
+            <table className="w-full text-xs">
+              <thead className="text-left uppercase text-gray-500">
+                <tr><th className="p-1">Pasture</th><th className="p-1">Field</th><th className="p-1">Old</th><th className="p-1">New</th></tr>
+              </thead>
+              <tbody>
+                {preview.changes.map(c => (
+                  <tr key={`${c.target}|${c.field}`} className="border-t border-gray-100">
+                    <td className="p-1 font-medium">{c.target}</td>
+                    <td className="p-1">{columns.find(x => x.field === c.field)?.label}</td>
+                    <td className="p-1 tabular-nums text-gray-500">{fmt(c.from)}</td>
+                    <td className="p-1 tabular-nums font-semibold">{fmt(c.to)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {preview.unmatched.length > 0 && (
+            <div className="text-xs">
+              <div className="font-semibold text-amber-700">No matching plan row (kept for Name Reconciliation)</div>
+              <div className="text-gray-700">{preview.unmatched.map(v => v.name).join(", ")}</div>
+            </div>
+          )}
+
+          {(preview.skipped.length > 0 || preview.nonNumeric.length > 0) && (
+            <table className="w-full text-xs">
+              <thead className="text-left uppercase text-gray-500">
+                <tr><th className="p-1">Line</th><th className="p-1">Pasture</th><th className="p-1">Problem</th></tr>
+              </thead>
+              <tbody>
+                {preview.skipped.map(x => (
+                  <tr key={`s${x.line}`} className="border-t border-gray-100 bg-red-50">
+                    <td className="p-1 tabular-nums">{x.line}</td><td className="p-1">{x.name || "—"}</td><td className="p-1">skipped: {x.reason}</td>
+                  </tr>
+                ))}
+                {preview.nonNumeric.map(x => (
+                  <tr key={`n${x.line}|${x.column}`} className="border-t border-gray-100 bg-amber-50">
+                    <td className="p-1 tabular-nums">{x.line}</td><td className="p-1">{x.name}</td><td className="p-1">{x.column} = "{x.value}" is not a number; ignored</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="p-3 flex justify-end gap-2 border-t border-gray-100">
+          <button className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50" onClick={onCancel}>Cancel</button>
+          <button className="rounded-lg bg-indigo-600 px-3 py-2 text-black shadow hover:bg-indigo-700 text-sm disabled:opacity-50" disabled={!preview.values.length} onClick={() => onImport(mapping, preview)}>
+            Import {preview.values.length} row{preview.values.length === 1 ? "" : "s"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ---------------- Restore Dialog ---------------- */
+function RestoreDialog({ pending, onCancel, onApply }) {
+  const [mode, setMode] = useState("merge"); // "merge" | "replace"
+  const current = useMemo(() => readWorkspace().data, []);
+  const result = mode === "merge" ? mergeWorkspace(current, pending.data) : pending.data;
+  const before = summarizeWorkspace(current);
+  const after = summarizeWorkspace(result);
+
+  return (
+    <div className="fixed inset-0 z-[1000] flex items-center justify-center bg-black/30 p-4">
+      <div className="w-full max-w-xl rounded-xl border border-gray-200 bg-white shadow-lg">
+        <div className="p-3 border-b border-gray-100">
+          <div className="font-semibold">Restore workspace</div>
+          <div className="text-xs text-gray-600">
+            {pending.fileName} · saved {pending.exportedAt ? format(new Date(pending.exportedAt), "yyyy-MM-dd HH:mm") : "at an unknown time"} · schema v{pending.fromVersion}
+            {pending.steps.length > 0 && <> · upgraded {pending.steps.join(", ")}</>}
+          </div>
+        </div>
+
+        <div className="p-3 text-sm">
+          <div className="flex gap-4 mb-3">
+            <label className="flex items-start gap-2">
+              <input type="radio" className="mt-1" checked={mode === "merge"} onChange={() => setMode("merge")} />
+              <span><b>Merge</b><br /><span className="text-xs text-gray-600">Keep everything here; add drafts and history this browser doesn't have.</span></span>
+            </label>
+            <label className="flex items-start gap-2">
+              <input type="radio" className="mt-1" checked={mode === "replace"} onChange={() => setMode("replace")} />
+              <span><b>Replace</b><br /><span className="text-xs text-gray-600">Discard this browser's workspace and use the backup as is.</span></span>
+            </label>
+          </div>
+
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-600 border-b">
+                <th className="py-1 pr-2"></th>
+                <th className="py-1 pr-2">Now</th>
+                <th className="py-1 pr-2">After restore</th>
+              </tr>
+            </thead>
+            <tbody>
+              {before.map(([label, v], i) => (
+                <tr key={label} className="border-b border-gray-100">
+                  <td className="py-1 pr-2 text-gray-600">{label}</td>
+                  <td className="py-1 pr-2 tabular-nums">{v}</td>
+                  <td className={`py-1 pr-2 tabular-nums ${String(after[i][1]) !== String(v) ? "font-semibold text-indigo-700" : ""}`}>{after[i][1]}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="p-3 flex justify-end gap-2 border-t border-gray-100">
+          <button className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50" onClick={onCancel}>Cancel</button>
+          <button className="rounded-lg bg-indigo-600 px-3 py-2 text-black shadow hover:bg-indigo-700 text-sm" onClick={() => onApply(result)}>
+            {mode === "merge" ? "Merge backup" : "Replace workspace"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ---------------- Mapped acreage ---------------- */
+const SQ_M_PER_ACRE = 4046.8564224;
+
+// turf.area is geodesic and handles MultiPolygons and subtracts holes
+function featureAcres(f) {
+  try { return +(turf.area(f) / SQ_M_PER_ACRE).toFixed(2); } catch { return null; }
+}
+
+function AcreageComparePanel({ rows, featureByPasture, onAccept }) {
+  const [open, setOpen] = useState(false);
+  const [tolerancePct, setTolerancePct] = useState(2);
+
+  const items = useMemo(() => {
+    const seen = new Map();
+    for (const r of rows) {
+      const k = String(r.pasture || "").trim().toLowerCase();
+      if (!k || isGap(r) || seen.has(k)) continue;
+      const f = featureByPasture[k];
+      const mapped = f ? featureAcres(f) : null;
+      const entered = toNum(r.acreage);
+      const diff = mapped == null ? null : +(mapped - entered).toFixed(2);
+      const pct = mapped == null ? null : entered > 0 ? (diff / entered) * 100 : 100;
+      seen.set(k, { pasture: r.pasture, entered, mapped, diff, pct });
+    }
+    return [...seen.values()];
+  }, [rows, featureByPasture]);
+
+  const isFlagged = (it) => it.mapped != null && Math.abs(it.pct) > toNum(tolerancePct);
+  const flagged = items.filter(isFlagged);
+  const unmapped = items.filter(it => it.mapped == null);
+
+  if (!Object.keys(featureByPasture).length) return null;
+
+  return (
+    <div className="mt-4 rounded-xl border border-gray-200 bg-white shadow-sm">
+      <div className="p-3 flex flex-wrap items-center gap-3 border-b border-gray-100">
+        <button className="flex items-center gap-1 font-semibold text-sm" onClick={() => setOpen(o => !o)}>
+          {open ? <ChevronDown className="h-4 w-4 text-gray-500" /> : <ChevronRight className="h-4 w-4 text-gray-500" />}
+          Mapped Acreage
+        </button>
+        <span className={`text-xs font-semibold ${flagged.length ? "text-amber-700" : "text-emerald-700"}`}>
+          {flagged.length ? `${flagged.length} pasture${flagged.length === 1 ? "" : "s"} differ from the map` : "Entered acreage matches the map"}
+        </span>
+        {unmapped.length > 0 && <span className="text-xs text-gray-500">{unmapped.length} not on the map</span>}
+        <label className="flex items-center gap-1 text-xs">
+          Flag beyond
+          <input className="w-14 rounded border border-gray-200 p-1" type="number" min="0" step="0.5" value={tolerancePct} onChange={(e) => setTolerancePct(toNum(e.target.value))} />
+          %
+        </label>
+        <button
+          className="ml-auto rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50"
+          disabled={!flagged.length}
+          onClick={() => { if (confirm(`Replace entered acreage with mapped acreage for ${flagged.length} pasture(s)?`)) flagged.forEach(it => onAccept(it.pasture, it.mapped)); }}
+        >
+          Accept All Flagged
+        </button>
+      </div>
+
+      {open && (
+        <div className="p-3 overflow-auto">
+          <table className="w-full text-sm">
+            <thead className="text-left text-xs uppercase text-gray-500">
+              <tr>
+                <th className="p-1">Pasture</th>
+                <th className="p-1">Entered ac</th>
+                <th className="p-1">Mapped ac</th>
+                <th className="p-1">Difference</th>
+                <th className="p-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map(it => (
+                <tr key={it.pasture} className={`border-t border-gray-100 ${isFlagged(it) ? "bg-amber-50" : ""}`}>
+                  <td className="p-1 font-medium">{it.pasture}</td>
+                  <td className="p-1 tabular-nums">{it.entered}</td>
+                  <td className="p-1 tabular-nums">{it.mapped ?? "—"}</td>
+                  <td className={`p-1 tabular-nums ${isFlagged(it) ? "font-semibold text-amber-700" : "text-gray-600"}`}>
+                    {it.mapped == null ? "no feature" : `${it.diff > 0 ? "+" : ""}${it.diff} (${it.pct > 0 ? "+" : ""}${it.pct.toFixed(1)}%)`}
+                  </td>
+                  <td className="p-1 text-right">
+                    {it.mapped != null && it.diff !== 0 && (
+                      <button className="text-xs rounded border border-gray-200 px-2 py-0.5 hover:bg-gray-50" onClick={() => onAccept(it.pasture, it.mapped)}>
+                        Use mapped
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ---------------- Pasture adjacency ----------------
+ * Two pastures are neighbours when their polygons touch or come within `toleranceM` metres
+ * (a shared fence digitized with a small gap, a lane, a gate across a road).
+ */
+function buildAdjacency(featureByPasture, toleranceM) {
+  const names = Object.keys(featureByPasture);
+  const tol = Math.max(0, toNum(toleranceM));
+  const info = {};
+  for (const n of names) {
+    const f = featureByPasture[n];
+    try {
+      const [lng, lat] = turf.centerOfMass(f).geometry.coordinates;
+      const simple = turf.simplify(f, { tolerance: 0.00005, highQuality: false });
+      info[n] = { f, simple, center: [lng, lat], bbox: turf.bbox(f) };
+    } catch { /* skip invalid geometry */ }
+  }
+
+  const minDistanceM = (a, b) => {
+    const lines = turf.flatten(turf.polygonToLine(b.simple));
+    let best = Infinity;
+    turf.coordEach(a.simple, (c) => {
+      if (best <= tol) return;
+      for (const line of lines.features) best = Math.min(best, turf.pointToLineDistance(turf.point(c), line, { units: "meters" }));
+    });
+    return best;
+  };
+
+  const neighbors = {};
+  for (const n of Object.keys(info)) neighbors[n] = new Set();
+  const keys = Object.keys(info);
+  for (let i = 0; i < keys.length; i++) {
+    for (let j = i + 1; j < keys.length; j++) {
+      const a = info[keys[i]], b = info[keys[j]];
+      const padLat = tol / 111320, padLng = tol / (111320 * Math.cos((a.center[1] * Math.PI) / 180) || 1);
+      if (a.bbox[0] - padLng > b.bbox[2] || b.bbox[0] - padLng > a.bbox[2] || a.bbox[1] - padLat > b.bbox[3] || b.bbox[1] - padLat > a.bbox[3]) continue;
+      let touching = false;
+      try { touching = turf.booleanIntersects(a.f, b.f); } catch { touching = false; }
+      if (!touching && tol > 0) touching = minDistanceM(a, b) <= tol || minDistanceM(b, a) <= tol;
+      if (touching) { neighbors[keys[i]].add(keys[j]); neighbors[keys[j]].add(keys[i]); }
+    }
+  }
+  const centers = Object.fromEntries(Object.entries(info).map(([n, x]) => [n, x.center]));
+  return { neighbors, centers };
+}
+
+// { [toRowId]: { fromId, adjacent, km } } for every move between mapped pastures
+function checkMoves(list, adjacency, herds) {
+  const out = {};
+  const key = (r) => String(r.pasture || "").trim().toLowerCase();
+  for (const h of herds) {
+    const stops = list.filter(r => !isGap(r) && herdOf(r, herds).id === h.id && toNum(r.grazingDays) > 0 && adjacency.centers[key(r)]);
+    for (let i = 1; i < stops.length; i++) {
+      const a = key(stops[i - 1]), b = key(stops[i]);
+      if (a === b) continue;
+      out[stops[i].id] = {
+        fromId: stops[i - 1].id,
+        adjacent: adjacency.neighbors[a]?.has(b) || false,
+        km: +turf.distance(adjacency.centers[a], adjacency.centers[b], { units: "kilometers" }).toFixed(2),
+      };
+    }
+  }
+  return out;
+}
+
+/* Suggests an order per herd where each move goes to a neighbouring pasture where possible,
+ * otherwise the shortest trail: nearest-neighbour from the herd's first stop, then 2-opt.
+ * Rows that are off the map or have no grazing days keep their table positions.
+ */
+function suggestAdjacentOrder(list, adjacency, herds) {
+  const key = (r) => String(r.pasture || "").trim().toLowerCase();
+  const NON_ADJACENT_PENALTY = 1000;   // km-equivalent; any adjacent route beats any non-adjacent one
+  const cost = (a, b) => {
+    const ka = key(a), kb = key(b);
+    if (ka === kb) return 0;
+    const km = turf.distance(adjacency.centers[ka], adjacency.centers[kb], { units: "kilometers" });
+    return km + (adjacency.neighbors[ka]?.has(kb) ? 0 : NON_ADJACENT_PENALTY);
+  };
+  const routeCost = (route) => route.slice(1).reduce((s, r, i) => s + cost(route[i], r), 0);
+
+  const order = [...list];
+  for (const h of herds) {
+    const slots = list.map((r, i) => i).filter(i => !isGap(list[i]) && herdOf(list[i], herds).id === h.id && toNum(list[i].grazingDays) > 0 && adjacency.centers[key(list[i])]);
+    if (slots.length < 3) continue;
+    const stops = slots.map(i => list[i]);
+
+    const route = [stops[0]];
+    const left = stops.slice(1);
+    while (left.length) {
+      let best = 0;
+      for (let i = 1; i < left.length; i++) if (cost(route[route.length - 1], left[i]) < cost(route[route.length - 1], left[best])) best = i;
+      route.push(left.splice(best, 1)[0]);
+    }
+
+    let improved = true;
+    while (improved) {
+      improved = false;
+      for (let i = 1; i < route.length - 1; i++) {
+        for (let j = i + 1; j < route.length; j++) {
+          const next = [...route.slice(0, i), ...route.slice(i, j + 1).reverse(), ...route.slice(j + 1)];
+          if (routeCost(next) + 1e-9 < routeCost(route)) { route.splice(0, route.length, ...next); improved = true; }
+        }
+      }
+    }
+    slots.forEach((slot, n) => { order[slot] = route[n]; });
+  }
+  return order;
+}
+
+function AdjacencyPanel({ rows, moves, tolerance, onToleranceChange, onSuggest, onApplyOrder, hasMap }) {
+  const [open, setOpen] = useState(false);
+  const [proposed, setProposal] = useState(null);
+  // a proposal made before the rows changed no longer covers them
+  const proposal = proposed?.from === rows ? proposed : null;
+  const byId = new Map(rows.map(r => [r.id, r]));
+  const list = Object.entries(moves).map(([toId, m]) => ({ ...m, to: byId.get(toId), from: byId.get(m.fromId) })).filter(m => m.to && m.from);
+  const bad = list.filter(m => !m.adjacent);
+  const totalKm = +list.reduce((s, m) => s + m.km, 0).toFixed(1);
+
+  if (!hasMap) return null;
+
+  return (
+    <div className="mt-4 rounded-xl border border-gray-200 bg-white shadow-sm">
+      <div className="p-3 flex flex-wrap items-center gap-3 border-b border-gray-100">
+        <button className="flex items-center gap-1 font-semibold text-sm" onClick={() => setOpen(o => !o)}>
+          {open ? <ChevronDown className="h-4 w-4 text-gray-500" /> : <ChevronRight className="h-4 w-4 text-gray-500" />}
+          Adjacent Moves
+        </button>
+        <span className={`text-xs font-semibold ${bad.length ? "text-red-600" : "text-emerald-700"}`}>
+          {bad.length ? `${bad.length} move${bad.length === 1 ? "" : "s"} to a non-adjacent pasture` : "Every move goes to a neighbour"}
+        </span>
+        <span className="text-xs text-gray-600">Trail ≈ {totalKm} km</span>
+        <label className="flex items-center gap-1 text-xs">
+          Neighbours within
+          <input className="w-16 rounded border border-gray-200 p-1" type="number" min="0" step="5" value={tolerance} onChange={(e) => onToleranceChange(toNum(e.target.value))} />
+          m
+        </label>
+        <button className="ml-auto rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50" onClick={() => setProposal({ ...onSuggest(), from: rows })}>
+          Suggest Order
+        </button>
+      </div>
+
+      {proposal && (
+        <div className="px-3 py-2 border-b border-gray-100 text-sm">
+          <div className="text-xs text-gray-600 mb-1">
+            Suggested: {proposal.badMoves} non-adjacent move{proposal.badMoves === 1 ? "" : "s"}, trail ≈ {proposal.km} km
+          </div>
+          <div className="text-xs">{proposal.order.filter(r => toNum(r.grazingDays) > 0).map(r => r.pasture || "—").join(" → ")}</div>
+          <div className="mt-2 flex gap-2">
+            <button className="rounded-lg bg-indigo-600 px-3 py-1 text-black shadow hover:bg-indigo-700 text-sm" onClick={() => { onApplyOrder(proposal.order.map(r => r.id)); setProposal(null); }}>
+              Apply Order
+            </button>
+            <button className="rounded-lg bg-white px-3 py-1 shadow border border-gray-200 text-sm hover:bg-gray-50" onClick={() => setProposal(null)}>
+              Dismiss
+            </button>
+          </div>
+        </div>
+      )}
+
+      {open && (
+        <div className="p-3">
+          <ul className="space-y-1 text-xs">
+            {list.map(m => (
+              <li key={m.to.id} className={m.adjacent ? "text-gray-700" : "text-red-600 font-semibold"}>
+                {m.from.pasture} → {m.to.pasture}: {m.adjacent ? "adjacent" : "not adjacent"}, {m.km} km
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ---------------- Map themes ----------------
+ * Choropleth fills for StaticMap, one value per pasture (summed over repeat visits). Measures
+ * with a natural scale use fixed class breaks; ADA values use quantile breaks of the plan.
+ */
+const NO_DATA_FILL = "#e5e7eb";
+const HEAT = ["#ffffb2", "#fecc5c", "#fd8d3c", "#f03b20", "#bd0026"];
+
+const MAP_THEMES = {
+  plain: { label: "Plain" },
+  proposedADA: { label: "Proposed ADA", palette: HEAT },
+  utilization: { label: "Utilization of est. ADA", unit: "%", palette: ["#1a9850", "#91cf60", "#fee08b", "#fc8d59", "#d73027"], breaks: [25, 40, 50, 65] },
+  prevActualADA: { label: "Prev. actual ADA", palette: HEAT },
+  daysSinceGrazed: { label: "Days since last grazed", unit: " d", palette: ["#edf8e9", "#bae4b3", "#74c476", "#31a354", "#006d2c"], breaks: [14, 30, 60, 120] },
+  criticalUse: { label: "Critical-window use", unit: " d", palette: HEAT, breaks: [1, 8, 15, 30] },
+};
+
+// theme value per lower-cased pasture name
+function themeValues(theme, rows, { windows = [], today = format(new Date(), "yyyy-MM-dd") } = {}) {
+  const out = new Map();
+  const add = (k, v) => out.set(k, (out.get(k) ?? 0) + v);
+  const est = new Map();
+  for (const r of rows) {
+    if (isGap(r) || !r.pasture) continue;
+    const k = String(r.pasture).toLowerCase();
+    const grazed = toNum(r.grazingDays) > 0;
+    if (theme === "proposedADA" && grazed) add(k, toNum(r.proposedADA));
+    else if (theme === "utilization" && grazed) { add(k, toNum(r.proposedADA)); est.set(k, Math.max(est.get(k) ?? 0, estimatedADA(r))); }
+    else if (theme === "prevActualADA" && r.prevActualADA != null && r.prevActualADA !== "") out.set(k, toNum(r.prevActualADA));
+    else if (theme === "criticalUse" && grazed) {
+      add(k, windows.filter(w => windowAppliesTo(w, r.pasture)).reduce((sum, w) => sum + windowOverlapDays(r.startDate, r.endDate, w), 0));
+    } else if (theme === "daysSinceGrazed") {
+      // recorded in/out dates win over the plan; a stay under way counts as 0 days
+      const inISO = r.actual?.inDate || (grazed ? r.startDate : "");
+      const outISO = r.actual?.outDate || r.endDate;
+      if (!inISO || inISO > today) continue;
+      const d = outISO && outISO < today ? daysBetweenISO(outISO, today) : 0;
+      if (d != null && (!out.has(k) || d < out.get(k))) out.set(k, d);
+    }
+  }
+  if (theme === "utilization") {
+    for (const [k, ada] of out) {
+      if (est.get(k) > 0) out.set(k, Math.round((ada / est.get(k)) * 100)); else out.delete(k);
+    }
+  }
+  return out;
+}
+
+function quantileBreaks(sorted, classes) {
+  if (sorted.length < 2) return [];
+  const picks = [];
+  for (let i = 1; i < classes; i++) picks.push(+sorted[Math.floor((i * sorted.length) / classes)].toFixed(2));
+  return [...new Set(picks)].filter(b => b > sorted[0]);
+}
+
+// class colours, legend entries and a value → fill lookup
+function themeScale(theme, values) {
+  const t = MAP_THEMES[theme];
+  const nums = [...values].filter(Number.isFinite).sort((a, b) => a - b);
+  const breaks = t.breaks || quantileBreaks(nums, t.palette.length);
+  const colors = Array.from({ length: breaks.length + 1 }, (_, i) => t.palette[breaks.length ? Math.round((i * (t.palette.length - 1)) / breaks.length) : t.palette.length - 1]);
+  const fmt = (b) => `${b}${t.unit || ""}`;
+  const classes = !breaks.length
+    ? (nums.length ? [{ color: colors[0], label: fmt(nums[0]) }] : [])
+    : colors.map((color, i) => ({
+      color,
+      label: i === 0 ? `< ${fmt(breaks[0])}` : i === breaks.length ? `≥ ${fmt(breaks[i - 1])}` : `${fmt(breaks[i - 1])} – ${fmt(breaks[i])}`,
+    }));
+  const colorOf = (v) => {
+    if (!Number.isFinite(v)) return NO_DATA_FILL;
+    let i = 0;
+    while (i < breaks.length && v >= breaks[i]) i++;
+    return colors[i];
+  };
+  return { classes, colorOf };
+}
+
+/* ---------------- Static SVG Map ---------------- */
+function StaticMap({ rows, featureByPasture, allFeatures, svgRef, herds = DEFAULT_HERDS, moves = {}, theme = "plain", windows = [] }) {
+  const features = React.useMemo(() => {
+    const picked = rows.map(r => featureByPasture[String(r.pasture || '').toLowerCase()]).filter(Boolean);
+    return picked.length ? picked : allFeatures;
+  }, [rows, featureByPasture, allFeatures]);
+
+  const themed = React.useMemo(() => {
+    if (!MAP_THEMES[theme]?.palette) return null;
+    const values = themeValues(theme, rows, { windows });
+    const byFeature = new Map();
+    for (const [k, v] of values) if (featureByPasture[k]) byFeature.set(featureByPasture[k], v);
+    return { byFeature, ...themeScale(theme, byFeature.values()) };
+  }, [theme, rows, windows, featureByPasture]);
+
   if (!features || !features.length) {
     return (
       <div className="h-full w-full grid place-items-center text-sm text-gray-500">
@@ -305,250 +2913,1234 @@ function StaticMap({ rows, featureByPasture, allFeatures, svgRef }) {
     );
   }
 
-  // Web Mercator-like projection
-  const R = 6378137;
-  const lonLatToMerc = ([lng, lat]) => {
-    const x = R * (lng * Math.PI / 180);
-    const y = R * Math.log(Math.tan(Math.PI / 4 + (lat * Math.PI / 180) / 2));
-    return [x, y];
-  };
+  // Web Mercator-like projection
+  const R = 6378137;
+  const lonLatToMerc = ([lng, lat]) => {
+    const x = R * (lng * Math.PI / 180);
+    const y = R * Math.log(Math.tan(Math.PI / 4 + (lat * Math.PI / 180) / 2));
+    return [x, y];
+  };
+
+  const fc = turf.featureCollection(features);
+  const [minLng, minLat, maxLng, maxLat] = turf.bbox(fc);
+  const [minX, minY] = lonLatToMerc([minLng, minLat]);
+  const [maxX, maxY] = lonLatToMerc([maxLng, maxLat]);
+
+  const padFrac = 0.06;
+  const dx = maxX - minX, dy = maxY - minY;
+  const x0 = minX - dx * padFrac, x1 = maxX + dx * padFrac;
+  const y0 = minY - dy * padFrac, y1 = maxY + dy * padFrac;
+
+  const W = 800, H = 700;
+  const sx = W / (x1 - x0), sy = H / (y1 - y0);
+  const s = Math.min(sx, sy);
+  const ox = (W - s * (x1 - x0)) / 2;
+  const oy = (H - s * (y1 - y0)) / 2;
+
+  const projectXY = ([lng, lat]) => {
+    const [mx, my] = lonLatToMerc([lng, lat]);
+    const x = ox + (mx - x0) * s;
+    const y = oy + (y1 - my) * s; // flip y
+    return [x, y];
+  };
+
+  function pathFromPolygonCoords(rings) {
+    let d = "";
+    for (const ring of rings) {
+      if (!ring || !ring.length) continue;
+      const [xStart, yStart] = projectXY(ring[0]);
+      d += `M ${xStart} ${yStart}`;
+      for (let i = 1; i < ring.length; i++) {
+        const [x, y] = projectXY(ring[i]);
+        d += ` L ${x} ${y}`;
+      }
+      d += " Z";
+    }
+    return d;
+  }
+
+  // build polygon paths
+  const polyPaths = [];
+  for (const f of features) {
+    const g = f?.geometry;
+    if (!g) continue;
+    const fill = themed ? themed.colorOf(themed.byFeature.get(f)) : null;
+    if (g.type === "Polygon") {
+      polyPaths.push({ d: pathFromPolygonCoords(g.coordinates), fill });
+    } else if (g.type === "MultiPolygon") {
+      for (const poly of g.coordinates) polyPaths.push({ d: pathFromPolygonCoords(poly), fill });
+    }
+  }
+  const legendRows = themed ? [...themed.classes, ...(features.some(f => !themed.byFeature.has(f)) ? [{ color: NO_DATA_FILL, label: "no data" }] : [])] : [];
+
+  // label anchors from centerOfMass for route order
+  const activeRows = rows.filter(r => !isGap(r) && (Number(r?.grazingDays) || 0) > 0);
+
+  const routeAnchors = activeRows.map(r => {
+    const f = featureByPasture[String(r.pasture || '').toLowerCase()];
+    if (!f) return null;
+    const cm = turf.centerOfMass(f);
+    const [lng, lat] = cm.geometry.coordinates;
+    const [x, y] = projectXY([lng, lat]);
+    return { id: r.id, name: r.pasture, herdId: herdOf(r, herds).id, x, y };
+  }).filter(Boolean);
+
+  const routeNameSet = new Set(routeAnchors.map(a => (a.name || '').toLowerCase()));
+
+  const nonRouteLabels = [];
+  for (const f of features) {
+    const label = featureName(f);
+    if (!label || routeNameSet.has(label.toLowerCase())) continue;
+    try {
+      const cm = turf.centerOfMass(f);
+      const [lng, lat] = cm.geometry.coordinates;
+      const [x, y] = projectXY([lng, lat]);
+      nonRouteLabels.push({ text: label, x, y });
+    } catch {}
+  }
+
+  // arrow segments
+  const SHIFT_FROM_TEXT = 10;
+  const shiftTowards = ([x1, y1], [x2, y2], d = 0) => {
+    const dx2 = x2 - x1, dy2 = y2 - y1;
+    const L = Math.hypot(dx2, dy2) || 1;
+    return [x1 + (dx2 / L) * d, y1 + (dy2 / L) * d];
+  };
+
+  // one numbered route per herd
+  const segments = [];
+  for (const h of herds) {
+    const herdAnchors = routeAnchors.filter(a => a.herdId === h.id);
+    for (let i = 0; i < herdAnchors.length - 1; i++) {
+      const a = herdAnchors[i];
+      const b = herdAnchors[i + 1];
+      const flagged = moves[b.id] && !moves[b.id].adjacent;
+      segments.push({ key: `seg-${h.id}-${i}`, a, b, num: i + 1, color: flagged ? "#dc2626" : h.color, markerId: flagged ? "arrowhead-flagged" : `arrowhead-${h.id}`, flagged });
+    }
+  }
+  for (const seg of segments) {
+    const { a, b } = seg;
+    const [sx, sy] = shiftTowards([a.x, a.y], [b.x, b.y], SHIFT_FROM_TEXT);
+    const [ex, ey] = shiftTowards([b.x, b.y], [a.x, a.y], 10); // trim 10px from the end
+    const d = `M ${sx} ${sy} L ${ex} ${ey}`;
+
+    const mx = (sx + b.x) / 2;
+    const my = (sy + b.y) / 2;
+    const dx3 = b.x - sx, dy3 = b.y - sy;
+    const L = Math.hypot(dx3, dy3) || 1;
+    const nx = -dy3 / L, ny = dx3 / L;
+    const LABEL_OFFSET = 0;
+    const nxp = mx + nx * LABEL_OFFSET, nyp = my + ny * LABEL_OFFSET;
+
+    seg.d = d;
+    seg.labelPos = [nxp, nyp];
+  }
+
+  return (
+    <svg ref={svgRef} viewBox={`0 0 ${W} ${H}`} width="100%" height="100%" xmlns="http://www.w3.org/2000/svg">
+      <defs>
+        {herds.map(h => (
+          <marker key={h.id} id={`arrowhead-${h.id}`} markerWidth="6" markerHeight="4" refX="6" refY="2" orient="auto" markerUnits="strokeWidth">
+            <polygon points="0 0, 6 2, 0 4" fill={h.color} />
+          </marker>
+        ))}
+        <marker id="arrowhead-flagged" markerWidth="6" markerHeight="4" refX="6" refY="2" orient="auto" markerUnits="strokeWidth">
+          <polygon points="0 0, 6 2, 0 4" fill="#dc2626" />
+        </marker>
+      </defs>
+      <rect x="0" y="0" width={W} height={H} fill="#f8fafc" />
+
+      {polyPaths.map((p, i) => (
+        <path key={`poly-${i}`} d={p.d} fill={p.fill || "#93c5fd"} fillOpacity={p.fill ? 0.8 : 0.18} fillRule="evenodd" stroke="#475569" strokeWidth="1.25" />
+      ))}
+
+      {/* arrows behind labels */}
+      {segments.map(seg => (
+        <path key={seg.key} d={seg.d} fill="none" stroke={seg.color} strokeWidth="2" strokeDasharray={seg.flagged ? "6 4" : undefined} markerEnd={`url(#${seg.markerId})`} />
+      ))}
+
+      {/* move numbers */}
+      {segments.map(seg => {
+        const [x, y] = seg.labelPos;
+        return (
+          <g key={`${seg.key}-num`}>
+            <circle cx={x} cy={y} r="10" fill="#ffffff" stroke="#0f172a" strokeWidth="1.5" />
+            <text x={x} y={y} textAnchor="middle" dominantBaseline="central" fontSize="11" fontWeight="700" fill="#0f172a" style={{ fontFamily: "system-ui, sans-serif" }}>
+              {seg.num}
+            </text>
+          </g>
+        );
+      })}
+
+      {/* route labels */}
+      {routeAnchors.map((a, i) => (
+        <g key={`route-label-${i}`}>
+          <text x={a.x} y={a.y} textAnchor="middle" dominantBaseline="central" fontSize="12" fontWeight="700" stroke="#fff" strokeWidth="3" paintOrder="stroke" style={{ fontFamily: "system-ui, sans-serif" }}>
+            {a.name}
+          </text>
+          <text x={a.x} y={a.y} textAnchor="middle" dominantBaseline="central" fontSize="12" fontWeight="700" fill="#0f172a" style={{ fontFamily: "system-ui, sans-serif" }}>
+            {a.name}
+          </text>
+        </g>
+      ))}
+
+      {/* non-route labels */}
+      {nonRouteLabels.map((lb, i) => (
+        <g key={`nonroute-${i}`}>
+          <text x={lb.x} y={lb.y} textAnchor="middle" dominantBaseline="central" fontSize="12" fontWeight="600" stroke="#fff" strokeWidth="3" paintOrder="stroke" style={{ fontFamily: "system-ui, sans-serif" }}>
+            {lb.text}
+          </text>
+          <text x={lb.x} y={lb.y} textAnchor="middle" dominantBaseline="central" fontSize="12" fontWeight="600" fill="#0f172a" style={{ fontFamily: "system-ui, sans-serif" }}>
+            {lb.text}
+          </text>
+        </g>
+      ))}
+
+      {/* theme legend, drawn in the SVG so exports keep it */}
+      {themed && (
+        <g transform={`translate(12, ${H - 12 - (28 + legendRows.length * 18)})`} style={{ fontFamily: "system-ui, sans-serif" }}>
+          <rect x="0" y="0" width="190" height={28 + legendRows.length * 18} rx="6" fill="#ffffff" fillOpacity="0.92" stroke="#cbd5e1" />
+          <text x="10" y="18" fontSize="12" fontWeight="700" fill="#0f172a">{MAP_THEMES[theme].label}</text>
+          {legendRows.map((c, i) => (
+            <g key={c.label} transform={`translate(10, ${26 + i * 18})`}>
+              <rect x="0" y="0" width="14" height="14" fill={c.color} fillOpacity="0.8" stroke="#475569" strokeWidth="0.75" />
+              <text x="22" y="7" fontSize="11" dominantBaseline="central" fill="#0f172a">{c.label}</text>
+            </g>
+          ))}
+        </g>
+      )}
+    </svg>
+  );
+}
+
+/* ---------------- Map export (SVG/PNG) ---------------- */
+function StaticMapExportButtons({ svgRef, filename = "grazing_route" }) {
+  function downloadSVG() {
+    const svg = svgRef.current;
+    if (!svg) return alert("Map not ready.");
+    const serializer = new XMLSerializer();
+    const source = serializer.serializeToString(svg);
+    const blob = new Blob([source], { type: "image/svg+xml;charset=utf-8" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url; a.download = `${filename}.svg`; a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  function downloadPNG(scale = 2) {
+    const svg = svgRef.current;
+    if (!svg) return alert("Map not ready.");
+    const serializer = new XMLSerializer();
+    const source = serializer.serializeToString(svg);
+
+    const vb = (svg.getAttribute("viewBox") || "0 0 1000 700").split(/\s+/).map(Number);
+    const vw = vb[2], vh = vb[3];
+
+    const img = new Image();
+    const svgBlob = new Blob([source], { type: "image/svg+xml;charset=utf-8" });
+    const url = URL.createObjectURL(svgBlob);
+
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(vw * scale);
+    canvas.height = Math.round(vh * scale);
+    const ctx = canvas.getContext("2d");
+
+    img.onload = () => {
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((pngBlob) => {
+        if (!pngBlob) return;
+        const dl = URL.createObjectURL(pngBlob);
+        const a = document.createElement("a");
+        a.href = dl; a.download = `${filename}.png`; a.click();
+        URL.revokeObjectURL(dl);
+      }, "image/png");
+    };
+    img.onerror = () => { URL.revokeObjectURL(url); alert("PNG render failed."); };
+    img.src = url;
+  }
+
+  return (
+    <>
+      <button className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50" onClick={downloadSVG} title="Download vector map">
+        Export SVG
+      </button>
+      <button className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50" onClick={() => downloadPNG(2)} title="Download PNG (2×)">
+        Export PNG
+      </button>
+    </>
+  );
+}
 
-  const fc = turf.featureCollection(features);
-  const [minLng, minLat, maxLng, maxLat] = turf.bbox(fc);
-  const [minX, minY] = lonLatToMerc([minLng, minLat]);
-  const [maxX, maxY] = lonLatToMerc([maxLng, maxLat]);
+// opens the SVG alone in a new window and prints it
+function printSVG(svg, title) {
+  if (!svg) return alert("Nothing to print yet.");
+  const w = window.open("", "_blank");
+  if (!w) return alert("Allow pop-ups to print.");
+  const source = new XMLSerializer().serializeToString(svg);
+  w.document.write(`<!doctype html><html><head><title>${title}</title><style>@page{size:landscape;margin:10mm}body{margin:0}svg{width:100%;height:auto}</style></head><body>${source}</body></html>`);
+  w.document.close();
+  w.focus();
+  w.print();
+}
 
-  const padFrac = 0.06;
-  const dx = maxX - minX, dy = maxY - minY;
-  const x0 = minX - dx * padFrac, x1 = maxX + dx * padFrac;
-  const y0 = minY - dy * padFrac, y1 = maxY + dy * padFrac;
+/* ---------------- Printable season report ----------------
+ * Rendered only while printing; layout lives in the print rules of index.css so it
+ * doesn't depend on screen utility classes.
+ */
+function listMoveDays(list, herds) {
+  const out = [];
+  for (const h of herds) {
+    const stays = list.filter(r => herdOf(r, herds).id === h.id && r.startDate && r.endDate && toNum(r.grazingDays) > 0);
+    stays.forEach((r, i) => {
+      out.push({ id: r.id, date: r.startDate, herd: h.name, from: i ? stays[i - 1].pasture : "", to: r.pasture, head: isGap(r) ? "" : r.herdSize, gap: isGap(r) });
+    });
+  }
+  return out.sort((a, b) => a.date.localeCompare(b.date));
+}
 
-  const W = 800, H = 700;
-  const sx = W / (x1 - x0), sy = H / (y1 - y0);
-  const s = Math.min(sx, sy);
-  const ox = (W - s * (x1 - x0)) / 2;
-  const oy = (H - s * (y1 - y0)) / 2;
+function SeasonReport({ title, rows, herds, windows, pastures, totals, startDate, finalLabel, featureByPasture, allFeatures, moves, theme }) {
+  const svgRef = useRef(null);
+  const registry = new Map(pastures.map(p => [p.id, p]));
+  const tint = (color) => (/^#[0-9a-f]{6}$/i.test(color || "") ? `${color}33` : undefined);
+  const planned = rows.filter(r => toNum(r.grazingDays) > 0);
+  const noted = [...new Map(planned.filter(r => !isGap(r)).map(r => [String(r.pasture).trim().toLowerCase(), r])).values()]
+    .map(r => {
+      const p = registry.get(r.pastureId) || {};
+      const rowNotes = planned.filter(x => x.pasture === r.pasture && x.notes).map(x => x.notes);
+      return { pasture: r.pasture, forage: p.forageType, water: p.waterSources, fences: p.fenceNotes, notes: rowNotes.join(" · ") };
+    })
+    .filter(n => n.forage || n.water || n.fences || n.notes);
+  const checklist = listMoveDays(rows, herds);
 
-  const projectXY = ([lng, lat]) => {
-    const [mx, my] = lonLatToMerc([lng, lat]);
-    const x = ox + (mx - x0) * s;
-    const y = oy + (y1 - my) * s; // flip y
-    return [x, y];
+  return (
+    <div className="print-report">
+      <header>
+        <h1>{title}</h1>
+        <div className="meta">
+          Season start {startDate || "—"} · {totals.totalDays} grazing days · total proposed ADA {totals.totalADA}
+          {finalLabel && <> · {finalLabel}</>} · printed {format(new Date(), "yyyy-MM-dd")}
+        </div>
+        {herds.length > 1 && (
+          <div className="meta">
+            {herds.map(h => {
+              const own = rows.filter(r => herdOf(r, herds).id === h.id);
+              return <span key={h.id} className="herd">{h.name}: {own.reduce((s, r) => s + Math.max(0, toNum(r.grazingDays)), 0)} d</span>;
+            })}
+          </div>
+        )}
+      </header>
+
+      <section className="map">
+        <StaticMap rows={rows} featureByPasture={featureByPasture} allFeatures={allFeatures} svgRef={svgRef} herds={herds} moves={moves} theme={theme} windows={windows} />
+      </section>
+
+      <section className="page-break">
+        <h2>Plan</h2>
+        {windows.length > 0 && (
+          <div className="legend">
+            Critical windows:
+            {windows.map(w => <span key={w.id} className="swatch" style={{ backgroundColor: tint(w.color), borderColor: w.color }}>{w.name} ({w.start} → {w.end})</span>)}
+          </div>
+        )}
+        <table>
+          <thead>
+            <tr>
+              <th>#</th><th>Pasture</th><th>Herd</th><th>Acres</th><th>Head / AU</th><th>Days</th><th>In</th><th>Out</th>
+              <th>Proposed ADA</th><th>Est. ADA</th><th>Critical windows</th><th>Notes</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r, i) => {
+              const hits = windowsForRow(r, windows);
+              return (
+                <tr key={r.id} style={{ backgroundColor: hits.length ? tint(hits[0].color) : undefined }}>
+                  <td>{i + 1}</td>
+                  <td>{isGap(r) ? <i>{r.pasture || "Off pasture"}</i> : r.pasture}</td>
+                  <td>{herdOf(r, herds).name}</td>
+                  <td className="num">{isGap(r) ? "" : r.acreage}</td>
+                  <td className="num">{isGap(r) ? "" : `${r.herdSize} / ${rowAU(r)}`}</td>
+                  <td className="num">{r.grazingDays}</td>
+                  <td>{r.startDate}{r.pinnedStart ? " (pinned)" : ""}</td>
+                  <td>{r.endDate}</td>
+                  <td className="num">{isGap(r) ? "" : r.proposedADA}</td>
+                  <td className="num">{isGap(r) ? "" : estimatedADA(r) || ""}</td>
+                  <td>{hits.map(w => w.name).join(", ")}</td>
+                  <td>{r.notes}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+          <tfoot>
+            <tr><td colSpan={5}>Totals</td><td className="num">{totals.totalDays}</td><td colSpan={2}></td><td className="num">{totals.totalADA}</td><td colSpan={3}></td></tr>
+          </tfoot>
+        </table>
+      </section>
+
+      {noted.length > 0 && (
+        <section>
+          <h2>Pasture notes</h2>
+          <table>
+            <thead><tr><th>Pasture</th><th>Forage</th><th>Water</th><th>Fences</th><th>Plan notes</th></tr></thead>
+            <tbody>
+              {noted.map(n => (
+                <tr key={n.pasture}><td>{n.pasture}</td><td>{n.forage}</td><td>{n.water}</td><td>{n.fences}</td><td>{n.notes}</td></tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+
+      <section className="page-break checklist">
+        <h2>Crew move checklist</h2>
+        <table>
+          <thead><tr><th>Date</th><th>Herd</th><th>From</th><th>To</th><th>Head</th><th>Done</th><th>Actual date</th><th>Count</th><th>Sign-off</th><th>Notes</th></tr></thead>
+          <tbody>
+            {checklist.map(m => (
+              <tr key={m.id}>
+                <td>{m.date}</td>
+                <td>{m.herd}</td>
+                <td>{m.from || "turn-out"}</td>
+                <td>{m.gap ? <i>{m.to || "Off pasture"}</i> : m.to}</td>
+                <td className="num">{m.head}</td>
+                <td className="box">☐</td>
+                <td></td><td></td><td></td><td></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+    </div>
+  );
+}
+
+/* ---------------- Season Timeline (Gantt) ---------------- */
+function SeasonTimeline({ rows, herds, windows, startDate, selectedRowId, onSelect, onChangeDays, onReorder, svgRef }) {
+  const [drag, setDrag] = useState(null);   // { kind: "resize" | "move", id, x0, y0, days0, days, dy }
+
+  const dated = rows.filter(r => r.startDate && r.endDate);
+  const LABEL_W = 170, ROW_H = 26, AXIS_H = 40, CHART_W = 1100, PAD_DAYS = 3;
+
+  const starts = [startDate, ...herds.map(h => h.startDate), ...dated.map(r => r.startDate)].filter(Boolean).sort();
+  const ends = dated.map(r => r.endDate).sort();
+  const first = starts.length ? addDaysISO(starts[0], -PAD_DAYS) : "";
+  const last = ends.length ? addDaysISO(ends[ends.length - 1], PAD_DAYS) : "";
+  const span = first && last ? Math.max(1, daysBetweenISO(first, last) + 1) : 0;
+  const dayW = span ? CHART_W / span : 0;
+  const xOf = (iso) => LABEL_W + daysBetweenISO(first, iso) * dayW;
+  const H = AXIS_H + rows.length * ROW_H + 10;
+  const W = LABEL_W + CHART_W + 10;
+
+  const toSvgPoint = (clientX, clientY) => {
+    const svg = svgRef.current;
+    const pt = svg.createSVGPoint();
+    pt.x = clientX; pt.y = clientY;
+    return pt.matrixTransform(svg.getScreenCTM().inverse());
   };
 
-  function pathFromPolygonCoords(rings) {
-    let d = "";
-    for (const ring of rings) {
-      if (!ring || !ring.length) continue;
-      const [xStart, yStart] = projectXY(ring[0]);
-      d += `M ${xStart} ${yStart}`;
-      for (let i = 1; i < ring.length; i++) {
-        const [x, y] = projectXY(ring[i]);
-        d += ` L ${x} ${y}`;
+  // the drag listeners read props through this ref, so they re-subscribe only when the drag changes
+  const latest = useRef(null);
+  useEffect(() => { latest.current = { rows, dayW, onChangeDays, onReorder, toSvgPoint }; });
+
+  // a resize is shown locally while dragging and committed on release
+  useEffect(() => {
+    if (!drag) return;
+    const onMove = (e) => {
+      const p = latest.current.toSvgPoint(e.clientX, e.clientY);
+      if (drag.kind === "resize") {
+        const days = Math.max(1, drag.days0 + Math.round((p.x - drag.x0) / latest.current.dayW));
+        if (days !== drag.days) setDrag(d => ({ ...d, days }));
+      } else {
+        setDrag(d => ({ ...d, dy: p.y - drag.y0 }));
       }
-      d += " Z";
+    };
+    const onUp = () => {
+      const { rows: list, onChangeDays: changeDays, onReorder: reorder } = latest.current;
+      if (drag.kind === "resize" && drag.days !== drag.days0) changeDays(drag.id, drag.days);
+      if (drag.kind === "move") {
+        const from = list.findIndex(r => r.id === drag.id);
+        const to = Math.min(list.length - 1, Math.max(0, from + Math.round((drag.dy || 0) / ROW_H)));
+        if (from >= 0 && to !== from) reorder(arrayMove(list.map(r => r.id), from, to));
+      }
+      setDrag(null);
+    };
+    window.addEventListener("pointermove", onMove);
+    window.addEventListener("pointerup", onUp);
+    return () => { window.removeEventListener("pointermove", onMove); window.removeEventListener("pointerup", onUp); };
+  }, [drag]);
+
+  if (!span) {
+    return <div className="p-6 text-sm text-gray-500">Set a Season Start to see the timeline.</div>;
+  }
+
+  // month ticks
+  const ticks = [];
+  for (let d = parseISO(first); d <= parseISO(last); d = addDays(d, 1)) {
+    if (d.getDate() === 1) ticks.push(format(d, "yyyy-MM-dd"));
+  }
+
+  // window bands, one per year the chart touches (wrapping windows start the year before)
+  const bands = [];
+  const y0 = parseISO(first).getFullYear(), y1 = parseISO(last).getFullYear();
+  for (const w of windows) {
+    if (!w.start || !w.end) continue;
+    const wraps = w.start > w.end;
+    for (let y = y0 - (wraps ? 1 : 0); y <= y1; y++) {
+      const ws = `${y}-${w.start}`, we = `${wraps ? y + 1 : y}-${w.end}`;
+      if (!isValid(parseISO(ws)) || !isValid(parseISO(we)) || we < first || ws > last) continue;
+      const s0 = ws < first ? first : ws, e0 = we > last ? last : we;
+      bands.push({ key: `${w.id}-${y}`, win: w, x: xOf(s0), w: (daysBetweenISO(s0, e0) + 1) * dayW });
     }
-    return d;
   }
 
-  // build polygon paths
-  const polyPaths = [];
-  for (const f of features) {
-    const g = f?.geometry;
-    if (!g) continue;
-    if (g.type === "Polygon") {
-      polyPaths.push(pathFromPolygonCoords(g.coordinates));
-    } else if (g.type === "MultiPolygon") {
-      for (const poly of g.coordinates) polyPaths.push(pathFromPolygonCoords(poly));
+  // idle days between consecutive stays of the same herd
+  const gaps = [];
+  for (const h of herds) {
+    const mine = rows.filter(r => herdOf(r, herds).id === h.id && r.startDate && r.endDate);
+    const herdStart = toISO(h.startDate || startDate);
+    let prevEnd = herdStart ? addDaysISO(herdStart, -1) : "";
+    for (const r of mine) {
+      const idle = prevEnd ? daysBetweenISO(prevEnd, r.startDate) - 1 : 0;
+      if (idle > 0) gaps.push({ key: `gap-${r.id}`, rowIndex: rows.indexOf(r), x: xOf(addDaysISO(prevEnd, 1)), w: idle * dayW, days: idle });
+      prevEnd = r.endDate;
     }
   }
 
-  // label anchors from centerOfMass for route order
-  const activeRows = rows.filter(r => (Number(r?.grazingDays) || 0) > 0);
+  return (
+    <svg ref={svgRef} viewBox={`0 0 ${W} ${H}`} width="100%" xmlns="http://www.w3.org/2000/svg" style={{ fontFamily: "system-ui, sans-serif", userSelect: "none" }}>
+      <rect x="0" y="0" width={W} height={H} fill="#ffffff" />
 
-  const routeAnchors = activeRows.map(r => {
-    const f = featureByPasture[String(r.pasture || '').toLowerCase()];
+      {/* critical windows */}
+      {bands.map(b => {
+        const scoped = (b.win.pastures || []).length > 0;
+        return scoped
+          ? rows.map((r, i) => windowAppliesTo(b.win, r.pasture) && (
+              <rect key={`${b.key}-${r.id}`} x={b.x} y={AXIS_H + i * ROW_H} width={b.w} height={ROW_H} fill={b.win.color} fillOpacity="0.18" />
+            ))
+          : <rect key={b.key} x={b.x} y={AXIS_H} width={b.w} height={rows.length * ROW_H} fill={b.win.color} fillOpacity="0.14" />;
+      })}
+      {bands.map(b => (
+        <text key={`${b.key}-label`} x={b.x + 3} y={AXIS_H - 6} fontSize="10" fill={b.win.color} fontWeight="700">{b.win.name}</text>
+      ))}
+
+      {/* month grid */}
+      {ticks.map(t => (
+        <g key={t}>
+          <line x1={xOf(t)} x2={xOf(t)} y1={14} y2={H - 10} stroke="#e2e8f0" />
+          <text x={xOf(t) + 3} y={12} fontSize="11" fill="#475569">{format(parseISO(t), "MMM yyyy")}</text>
+        </g>
+      ))}
+
+      {/* rows */}
+      {rows.map((r, i) => {
+        const y = AXIS_H + i * ROW_H;
+        const herd = herdOf(r, herds);
+        const moving = drag?.kind === "move" && drag.id === r.id;
+        const oy = moving ? drag.dy || 0 : 0;
+        const resizing = drag?.kind === "resize" && drag.id === r.id;
+        const days = resizing ? drag.days : toNum(r.grazingDays);
+        const end = resizing ? addDaysISO(r.startDate, days - 1) : r.endDate;
+        return (
+          <g key={r.id} transform={`translate(0 ${oy})`} opacity={moving ? 0.7 : 1}>
+            <line x1={0} x2={W} y1={y + ROW_H} y2={y + ROW_H} stroke="#f1f5f9" />
+            <text x={6} y={y + ROW_H / 2} dominantBaseline="central" fontSize="12" fontWeight="600" fill="#0f172a">
+              {i + 1}. {r.pasture || (isGap(r) ? "Off pasture" : "—")}
+            </text>
+            {r.startDate && r.endDate && toNum(r.grazingDays) > 0 && (
+              <>
+                <rect
+                  x={xOf(r.startDate)} y={y + 4}
+                  width={Math.max(2, (daysBetweenISO(r.startDate, end) + 1) * dayW)} height={ROW_H - 8} rx="3"
+                  fill={isGap(r) ? "#94a3b8" : herd.color} fillOpacity={r.id === selectedRowId ? 1 : isGap(r) ? 0.5 : 0.75}
+                  stroke={r.id === selectedRowId ? "#ea580c" : "none"} strokeWidth="2"
+                  style={{ cursor: "grab" }}
+                  onPointerDown={(e) => { const p = toSvgPoint(e.clientX, e.clientY); onSelect(r.id); setDrag({ kind: "move", id: r.id, x0: p.x, y0: p.y, dy: 0 }); }}
+                >
+                  <title>{`${r.pasture}: ${r.startDate} → ${end} (${days} d)`}</title>
+                </rect>
+                <text x={xOf(r.startDate) + 4} y={y + ROW_H / 2} dominantBaseline="central" fontSize="10" fill="#ffffff" pointerEvents="none">
+                  {r.pinnedStart ? "pinned · " : ""}{days} d{isGap(r) ? " off pasture" : ""}
+                </text>
+                <rect
+                  x={xOf(end) + dayW - 4} y={y + 4} width="6" height={ROW_H - 8}
+                  fill="#0f172a" fillOpacity="0.35" style={{ cursor: "ew-resize" }}
+                  onPointerDown={(e) => { e.stopPropagation(); const p = toSvgPoint(e.clientX, e.clientY); setDrag({ kind: "resize", id: r.id, x0: p.x, y0: p.y, days0: toNum(r.grazingDays), days: toNum(r.grazingDays) }); }}
+                >
+                  <title>Drag to change grazing days</title>
+                </rect>
+              </>
+            )}
+          </g>
+        );
+      })}
+
+      {/* gaps */}
+      {gaps.map(g => (
+        <g key={g.key}>
+          <rect x={g.x} y={AXIS_H + g.rowIndex * ROW_H + 8} width={g.w} height={ROW_H - 16} fill="none" stroke="#94a3b8" strokeDasharray="3 2" />
+          <text x={g.x + g.w / 2} y={AXIS_H + g.rowIndex * ROW_H + ROW_H / 2} textAnchor="middle" dominantBaseline="central" fontSize="9" fill="#64748b">gap {g.days} d</text>
+        </g>
+      ))}
+
+      {/* season start(s) */}
+      {[{ id: "plan", color: "#0f172a", date: toISO(startDate) }, ...herds.filter(h => h.startDate).map(h => ({ id: h.id, color: h.color, date: h.startDate }))]
+        .filter(m => m.date)
+        .map(m => (
+          <line key={`start-${m.id}`} x1={xOf(m.date)} x2={xOf(m.date)} y1={AXIS_H - 4} y2={H - 10} stroke={m.color} strokeWidth="1.5" strokeDasharray="5 3" />
+        ))}
+    </svg>
+  );
+}
+
+function TimelinePanel(props) {
+  const [open, setOpen] = useState(true);
+  const svgRef = useRef(null);
+  return (
+    <div className="mt-4 rounded-xl border border-gray-200 bg-white shadow-sm">
+      <div className="p-3 flex flex-wrap items-center gap-2 border-b border-gray-100">
+        <button className="flex items-center gap-1 font-semibold text-sm" onClick={() => setOpen(o => !o)}>
+          {open ? <ChevronDown className="h-4 w-4 text-gray-500" /> : <ChevronRight className="h-4 w-4 text-gray-500" />}
+          Season Timeline
+        </button>
+        <span className="text-xs text-gray-500">Drag a bar's right edge to change days, or drag a bar up/down to reorder.</span>
+        {open && (
+          <span className="ml-auto flex gap-2">
+            <StaticMapExportButtons svgRef={svgRef} filename="grazing_timeline" />
+            <button className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50" onClick={() => printSVG(svgRef.current, "Grazing season timeline")}>
+              Print
+            </button>
+          </span>
+        )}
+      </div>
+      {open && (
+        <div className="p-2 overflow-auto">
+          <SeasonTimeline {...props} svgRef={svgRef} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ---------------- Interactive Leaflet Map ---------------- */
+// the first pasture-like property; imports put the chosen name field first as "pasture"
+const NAME_FIELD_RE = /^(pasture|name|unit|past|paddock)$/i;
+function featureName(f) {
+  const k = Object.keys(f?.properties || {}).find(k => NAME_FIELD_RE.test(k));
+  return k ? String(f.properties[k] ?? "").trim() : "";
+}
+
+function FitToFeatures({ features }) {
+  const map = useMap();
+  useEffect(() => {
+    if (!features.length) return;
+    const [minLng, minLat, maxLng, maxLat] = turf.bbox(turf.featureCollection(features));
+    map.fitBounds([[minLat, minLng], [maxLat, maxLng]], { padding: [20, 20] });
+  }, [map, features]);
+  return null;
+}
+
+// keeps the selected pasture in view
+function PanToFeature({ feature }) {
+  const map = useMap();
+  useEffect(() => {
+    if (!feature) return;
+    const [lng, lat] = turf.centerOfMass(feature).geometry.coordinates;
+    if (!map.getBounds().contains([lat, lng])) map.panTo([lat, lng]);
+  }, [map, feature]);
+  return null;
+}
+
+// arrowheads at the middle of every move, via leaflet-polylinedecorator
+function RouteArrows({ segments, color }) {
+  const map = useMap();
+  // the caller rebuilds segments every render; only redraw when the coordinates change
+  const coords = JSON.stringify(segments);
+  useEffect(() => {
+    const decorators = JSON.parse(coords).map(seg => L.polylineDecorator(seg, {
+      patterns: [{ offset: "55%", repeat: 0, symbol: L.Symbol.arrowHead({ pixelSize: 12, polygon: true, pathOptions: { color, fillOpacity: 1, weight: 0 } }) }],
+    }).addTo(map));
+    return () => decorators.forEach(d => d.remove());
+  }, [map, coords, color]);
+  return null;
+}
+
+const stopIcon = (num, color, selected) => L.divIcon({
+  className: "",
+  iconSize: [22, 22],
+  iconAnchor: [11, 11],
+  html: `<div style="width:22px;height:22px;border-radius:11px;background:#fff;border:2px solid ${selected ? "#ea580c" : color};font:700 11px system-ui,sans-serif;display:flex;align-items:center;justify-content:center;color:#0f172a;cursor:grab">${num}</div>`,
+});
+
+function PastureMap({ rows, allFeatures, featureByPasture, selectedRowId, onSelectRow, onAddPasture, onReorder, herds, moves = {} }) {
+  const [sequencing, setSequencing] = useState(false);
+  const [picked, setPicked] = useState([]);   // row ids, in click order
+
+  const nameKey = (n) => String(n || "").trim().toLowerCase();
+  const selectedRow = rows.find(r => r.id === selectedRowId);
+  const plannedNames = new Set(rows.filter(r => !isGap(r) && toNum(r.grazingDays) > 0).map(r => nameKey(r.pasture)));
+  const pickedNames = new Set(rows.filter(r => picked.includes(r.id)).map(r => nameKey(r.pasture)));
+
+  const styleFor = (f) => {
+    const k = nameKey(featureName(f));
+    if (selectedRow && k === nameKey(selectedRow.pasture)) return { color: "#ea580c", weight: 3, fillColor: "#fdba74", fillOpacity: 0.45 };
+    if (sequencing && pickedNames.has(k)) return { color: "#7c3aed", weight: 2, fillColor: "#c4b5fd", fillOpacity: 0.45 };
+    if (plannedNames.has(k)) return { color: "#475569", weight: 1.5, fillColor: "#93c5fd", fillOpacity: 0.3 };
+    return { color: "#94a3b8", weight: 1, fillColor: "#e2e8f0", fillOpacity: 0.2 };
+  };
+
+  function handleFeatureClick(e) {
+    const f = e.propagatedFrom?.feature || e.layer?.feature;
+    const name = featureName(f);
+    if (!name) return;
+    const matches = rows.filter(r => !isGap(r) && nameKey(r.pasture) === nameKey(name));
+
+    if (sequencing) {
+      const next = matches.find(r => !picked.includes(r.id));
+      const id = next ? next.id : onAddPasture(name);
+      setPicked(prev => [...prev, id]);
+      return;
+    }
+    if (!matches.length) {
+      if (confirm(`${name} is not in the plan. Add it as a new row?`)) onSelectRow(onAddPasture(name));
+      return;
+    }
+    // repeat clicks cycle through repeat visits of the same pasture
+    const at = matches.findIndex(r => r.id === selectedRowId);
+    onSelectRow(matches[(at + 1) % matches.length].id);
+  }
+
+  function applySequence() {
+    if (picked.length) onReorder([...picked, ...rows.filter(r => !picked.includes(r.id)).map(r => r.id)]);
+    setPicked([]);
+    setSequencing(false);
+  }
+
+  // route per herd, one draggable numbered stop per active row
+  const stops = rows.filter(r => !isGap(r) && toNum(r.grazingDays) > 0).map(r => {
+    const f = featureByPasture[nameKey(r.pasture)];
     if (!f) return null;
-    const cm = turf.centerOfMass(f);
-    const [lng, lat] = cm.geometry.coordinates;
-    const [x, y] = projectXY([lng, lat]);
-    return { name: r.pasture, x, y };
+    const [lng, lat] = turf.centerOfMass(f).geometry.coordinates;
+    return { row: r, herd: herdOf(r, herds), latlng: [lat, lng] };
   }).filter(Boolean);
+  const routes = herds.map(h => {
+    const mine = stops.filter(st => st.herd.id === h.id);
+    return { herd: h, stops: mine, segments: mine.slice(1).map((st, i) => [mine[i].latlng, st.latlng]), flagged: mine.slice(1).map(st => moves[st.row.id] && !moves[st.row.id].adjacent) };
+  });
 
-  const routeNameSet = new Set(routeAnchors.map(a => (a.name || '').toLowerCase()));
+  // dropping a stop onto another pasture of the same herd's route moves the row to that slot
+  function handleStopDrop(stop, marker) {
+    const { lat, lng } = marker.getLatLng();
+    const pt = turf.point([lng, lat]);
+    const hit = allFeatures.find(f => { try { return turf.booleanPointInPolygon(pt, f); } catch { return false; } });
+    const target = hit && rows.find(r => r.id !== stop.row.id && herdOf(r, herds).id === stop.herd.id && nameKey(r.pasture) === nameKey(featureName(hit)));
+    marker.setLatLng(stop.latlng);
+    if (!target) return;
+    const ids = rows.map(r => r.id);
+    onReorder(arrayMove(ids, ids.indexOf(stop.row.id), ids.indexOf(target.id)));
+  }
 
-  const nonRouteLabels = [];
-  for (const f of features) {
-    const nk = Object.keys(f.properties || {}).find(k => /^(pasture|name|unit|past|paddock)$/i.test(k));
-    const label = nk ? String(f.properties[nk]) : "";
-    if (!label || routeNameSet.has(label.toLowerCase())) continue;
-    try {
-      const cm = turf.centerOfMass(f);
-      const [lng, lat] = cm.geometry.coordinates;
-      const [x, y] = projectXY([lng, lat]);
-      nonRouteLabels.push({ text: label, x, y });
-    } catch {}
+  if (!allFeatures.length) {
+    return (
+      <div className="h-full w-full grid place-items-center text-sm text-gray-500">
+        Upload a GeoJSON to use the interactive map.
+      </div>
+    );
   }
 
-  // arrow segments
-  const SHIFT_FROM_TEXT = 10;
-  const shiftTowards = ([x1, y1], [x2, y2], d = 0) => {
-    const dx2 = x2 - x1, dy2 = y2 - y1;
-    const L = Math.hypot(dx2, dy2) || 1;
-    return [x1 + (dx2 / L) * d, y1 + (dy2 / L) * d];
-  };
+  return (
+    <div className="relative h-full w-full">
+      <div className="absolute right-3 top-3 z-[1000] flex flex-col items-end gap-2 rounded-lg bg-white/90 p-2 shadow text-xs">
+        {!sequencing ? (
+          <button className="rounded border border-gray-200 bg-white px-2 py-1 hover:bg-gray-50" onClick={() => { setPicked([]); setSequencing(true); }}>
+            Click pastures in order…
+          </button>
+        ) : (
+          <>
+            <div className="max-w-[260px] text-gray-700">
+              {picked.length ? rows.filter(r => picked.includes(r.id)).sort((a, b) => picked.indexOf(a.id) - picked.indexOf(b.id)).map(r => r.pasture).join(" → ") : "Click pastures in grazing order."}
+            </div>
+            <div className="flex gap-1">
+              <button className="rounded bg-indigo-600 px-2 py-1 text-black hover:bg-indigo-700" onClick={applySequence}>Apply order</button>
+              <button className="rounded border border-gray-200 bg-white px-2 py-1 hover:bg-gray-50" onClick={() => setPicked(p => p.slice(0, -1))}>Undo</button>
+              <button className="rounded border border-gray-200 bg-white px-2 py-1 hover:bg-gray-50" onClick={() => { setPicked([]); setSequencing(false); }}>Cancel</button>
+            </div>
+          </>
+        )}
+        <div className="text-[10px] text-gray-500">Drag a numbered stop onto another stop's pasture to move it there.</div>
+      </div>
 
-  const segments = [];
-  for (let i = 0; i < routeAnchors.length - 1; i++) {
-    const a = routeAnchors[i];
-    const b = routeAnchors[i + 1];
-    const [sx, sy] = shiftTowards([a.x, a.y], [b.x, b.y], SHIFT_FROM_TEXT);
-    const [ex, ey] = shiftTowards([b.x, b.y], [a.x, a.y], 10); // trim 10px from the end
-    const d = `M ${sx} ${sy} L ${ex} ${ey}`;
+      <MapContainer className="h-full w-full" center={[39, -98]} zoom={4} scrollWheelZoom>
+        <TileLayer attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors' url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" />
+        <FitToFeatures features={allFeatures} />
+        <PanToFeature feature={selectedRow ? featureByPasture[nameKey(selectedRow.pasture)] : null} />
+        <GeoJSON
+          key={allFeatures.map(featureName).join("|")}
+          data={turf.featureCollection(allFeatures)}
+          style={styleFor}
+          eventHandlers={{ click: handleFeatureClick }}
+        />
+        {routes.map(({ herd, stops: herdStops, segments, flagged }) => (
+          <React.Fragment key={herd.id}>
+            {segments.map((seg, i) => (
+              <Polyline
+                key={`${herd.id}-${i}`}
+                positions={seg}
+                pathOptions={flagged[i] ? { color: "#dc2626", weight: 3, dashArray: "8 6" } : { color: herd.color, weight: 3 }}
+              />
+            ))}
+            <RouteArrows segments={segments} color={herd.color} />
+            {herdStops.map((st, i) => (
+              <Marker
+                key={st.row.id}
+                position={st.latlng}
+                draggable
+                icon={stopIcon(i + 1, herd.color, st.row.id === selectedRowId)}
+                eventHandlers={{
+                  click: () => onSelectRow(st.row.id),
+                  dragend: (e) => handleStopDrop(st, e.target),
+                }}
+              />
+            ))}
+          </React.Fragment>
+        ))}
+      </MapContainer>
+    </div>
+  );
+}
 
-    const mx = (sx + b.x) / 2;
-    const my = (sy + b.y) / 2;
-    const dx3 = b.x - sx, dy3 = b.y - sy;
-    const L = Math.hypot(dx3, dy3) || 1;
-    const nx = -dy3 / L, ny = dx3 / L;
-    const LABEL_OFFSET = 0;
-    const nxp = mx + nx * LABEL_OFFSET, nyp = my + ny * LABEL_OFFSET;
+/* ---------------- Undo / redo ----------------
+ * Each history entry holds the plan as it was before the action. Stepping across an entry
+ * swaps in that state and stores the one it replaced, so the same entry can be redone.
+ */
+const HISTORY_LIMIT = 100;
 
-    segments.push({ key: `seg-${i}`, d, num: i + 1, labelPos: [nxp, nyp] });
+function stepHistory(history, current, steps) {
+  let { past, future } = history;
+  let state = current;
+  const swap = (e) => {
+    const replaced = {};
+    for (const k of Object.keys(e.state)) replaced[k] = state[k];
+    state = { ...state, ...e.state };
+    return { ...e, state: replaced };
+  };
+  for (let i = 0; i < Math.abs(steps); i++) {
+    if (steps < 0 && past.length) {
+      future = [swap(past[past.length - 1]), ...future];
+      past = past.slice(0, -1);
+    } else if (steps > 0 && future.length) {
+      past = [...past, swap(future[0])];
+      future = future.slice(1);
+    }
   }
+  return { history: { past, future }, state };
+}
+
+function HistoryPanel({ history, onStep }) {
+  const [open, setOpen] = useState(false);
+  const { past, future } = history;
 
   return (
-    <svg ref={svgRef} viewBox={`0 0 ${W} ${H}`} width="100%" height="100%" xmlns="http://www.w3.org/2000/svg">
-      <defs>
-        <marker id="arrowhead" markerWidth="6" markerHeight="4" refX="6" refY="2" orient="auto" markerUnits="strokeWidth">
-          <polygon points="0 0, 6 2, 0 4" fill="#2563eb" />
-        </marker>
-      </defs>
-      <rect x="0" y="0" width={W} height={H} fill="#f8fafc" />
+    <div className="mt-4 rounded-xl border border-gray-200 bg-white shadow-sm">
+      <div className="p-3 flex flex-wrap items-center gap-3 border-b border-gray-100">
+        <button className="flex items-center gap-1 font-semibold text-sm" onClick={() => setOpen(o => !o)}>
+          {open ? <ChevronDown className="h-4 w-4 text-gray-500" /> : <ChevronRight className="h-4 w-4 text-gray-500" />}
+          History
+        </button>
+        <button className="rounded border border-gray-200 px-2 py-1 text-xs hover:bg-gray-50 disabled:opacity-40" disabled={!past.length} onClick={() => onStep(-1)} title="Undo (Ctrl/⌘+Z)">
+          <Undo2 className="mr-1 inline h-3 w-3" /> Undo
+        </button>
+        <button className="rounded border border-gray-200 px-2 py-1 text-xs hover:bg-gray-50 disabled:opacity-40" disabled={!future.length} onClick={() => onStep(1)} title="Redo (Ctrl/⌘+Shift+Z or Ctrl+Y)">
+          <Redo2 className="mr-1 inline h-3 w-3" /> Redo
+        </button>
+        <span className="text-xs text-gray-500">
+          {past.length ? `Last: ${past[past.length - 1].label}` : "No changes yet this session"}
+        </span>
+      </div>
 
-      {polyPaths.map((d, i) => (
-        <path key={`poly-${i}`} d={d} fill="#93c5fd" fillOpacity="0.18" stroke="#475569" strokeWidth="1.25" />
-      ))}
+      {open && (
+        <div className="p-3 text-xs">
+          <div className="text-[11px] text-gray-500 mb-2">Click an entry to go back to just before it, or forward past an undone one. History lasts for this session.</div>
+          <ul className="max-h-56 overflow-auto space-y-0.5">
+            {[...future].reverse().map((e, i) => (
+              <li key={e.id}>
+                <button className="w-full text-left rounded px-2 py-1 text-gray-400 line-through hover:bg-gray-50" onClick={() => onStep(future.length - i)}>
+                  {format(new Date(e.ts), "HH:mm:ss")} · {e.label}
+                </button>
+              </li>
+            ))}
+            {[...past].reverse().map((e, i) => (
+              <li key={e.id}>
+                <button className={`w-full text-left rounded px-2 py-1 hover:bg-gray-50 ${i === 0 ? "font-semibold" : ""}`} onClick={() => onStep(-(i + 1))}>
+                  {format(new Date(e.ts), "HH:mm:ss")} · {e.label}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ---------------- Boundary import (GeoJSON, KML/KMZ, zipped Shapefile) ----------------
+ * Everything is parsed in the browser. Coordinates outside lon/lat range are treated as
+ * projected and reprojected to WGS84 with proj4 from the file's CRS, or one entered by hand.
+ */
+function projDefFor(code) {
+  const s = String(code || "").trim();
+  if (s.startsWith("+proj")) return s;
+  const n = Number((/(\d{4,6})\s*$/.exec(s) || [])[1]);
+  if (n === 4326 || n === 4269 || /CRS84/i.test(s)) return "EPSG:4326";
+  if (n === 3857 || n === 900913 || n === 102100) return "EPSG:3857";
+  if (n >= 32601 && n <= 32660) return `+proj=utm +zone=${n - 32600} +datum=WGS84 +units=m +no_defs`;
+  if (n >= 32701 && n <= 32760) return `+proj=utm +zone=${n - 32700} +south +datum=WGS84 +units=m +no_defs`;
+  if (n >= 26901 && n <= 26923) return `+proj=utm +zone=${n - 26900} +datum=NAD83 +units=m +no_defs`;
+  if (n >= 26701 && n <= 26722) return `+proj=utm +zone=${n - 26700} +datum=NAD27 +units=m +no_defs`;
+  return null;
+}
+
+function looksProjected(fc) {
+  const coords = turf.coordAll(fc).slice(0, 500);
+  return coords.some(([x, y]) => Math.abs(x) > 180 || Math.abs(y) > 90);
+}
+
+function reprojectFC(fc, def) {
+  const out = turf.clone(fc);
+  const convert = proj4(def, "EPSG:4326");
+  turf.coordEach(out, (c) => {
+    const [lng, lat] = convert.forward([c[0], c[1]]);
+    c[0] = lng; c[1] = lat;
+  });
+  return out;
+}
+
+function toFeatureCollection(gj) {
+  if (Array.isArray(gj)) return turf.featureCollection(gj.flatMap(x => toFeatureCollection(x).features));
+  if (gj?.type === "FeatureCollection") return gj;
+  if (gj?.type === "Feature") return turf.featureCollection([gj]);
+  if (gj?.type && gj.coordinates) return turf.featureCollection([turf.feature(gj, {})]);
+  throw new Error("No features found in the file.");
+}
+
+// a GeometryCollection of polygons (KML MultiGeometry, some GIS exports) becomes one MultiPolygon
+function flattenPolygonCollections(fc) {
+  const polygons = (g) => g?.type === "GeometryCollection" ? g.geometries.flatMap(polygons)
+    : g?.type === "Polygon" ? [g.coordinates]
+    : g?.type === "MultiPolygon" ? g.coordinates
+    : null;
+  const features = fc.features.map(f => {
+    if (f?.geometry?.type !== "GeometryCollection") return f;
+    const parts = polygons(f.geometry);
+    return parts && parts.length && !parts.includes(null) ? { ...f, geometry: { type: "MultiPolygon", coordinates: parts } } : f;
+  });
+  return { ...fc, features };
+}
+
+// → { format, fc, crsCode, notes }
+async function readBoundaryFile(file) {
+  const name = file.name.toLowerCase();
+  const notes = [];
+  if (name.endsWith(".kml") || name.endsWith(".kmz")) {
+    let text;
+    if (name.endsWith(".kmz")) {
+      const zip = await JSZip.loadAsync(await file.arrayBuffer());
+      const entry = Object.values(zip.files).find(f => !f.dir && /\.kml$/i.test(f.name));
+      if (!entry) throw new Error("The KMZ has no .kml document inside.");
+      text = await entry.async("text");
+    } else text = await file.text();
+    const doc = new DOMParser().parseFromString(text, "text/xml");
+    if (doc.querySelector("parsererror")) throw new Error("The KML is not valid XML.");
+    return { format: name.endsWith(".kmz") ? "KMZ" : "KML", fc: flattenPolygonCollections(kmlToGeoJSON(doc)), crsCode: "EPSG:4326", notes };
+  }
+  if (name.endsWith(".zip")) {
+    const buf = await file.arrayBuffer();
+    const zip = await JSZip.loadAsync(buf);
+    const files = Object.keys(zip.files);
+    if (!files.some(f => /\.shp$/i.test(f))) throw new Error("The zip has no .shp file.");
+    const hasPrj = files.some(f => /\.prj$/i.test(f));
+    notes.push(hasPrj ? "Reprojected to WGS84 using the Shapefile's .prj." : "No .prj in the zip; coordinates are used as stored.");
+    const out = await shp(buf);
+    if (Array.isArray(out) && out.length > 1) notes.push(`Layers merged: ${out.map(l => l.fileName).filter(Boolean).join(", ")}.`);
+    return { format: "Shapefile (zip)", fc: flattenPolygonCollections(toFeatureCollection(out)), crsCode: hasPrj ? "EPSG:4326" : "", notes };
+  }
+  const gj = JSON.parse(await file.text());
+  return { format: "GeoJSON", fc: flattenPolygonCollections(toFeatureCollection(gj)), crsCode: gj?.crs?.properties?.name || "", notes };
+}
+
+// per-feature outcome for a name field; only polygons can be pastures
+function reviewFeatures(fc, nameField) {
+  const seen = new Map();
+  return fc.features.map((f, i) => {
+    const type = f?.geometry?.type || "none";
+    const name = nameField ? String(f?.properties?.[nameField] ?? "").trim() : "";
+    let reason = "";
+    if (type !== "Polygon" && type !== "MultiPolygon") reason = `${type} geometry, not a polygon`;
+    else if (!name) reason = nameField ? `empty "${nameField}"` : "no name field chosen";
+    else if (seen.has(name.toLowerCase())) reason = `duplicate of #${seen.get(name.toLowerCase()) + 1}`;
+    if (!reason) seen.set(name.toLowerCase(), i);
+    return { index: i, name, type, kept: !reason, reason };
+  });
+}
+
+// stamps the chosen name as the leading "pasture" property so every reader finds it first
+function stampPastureName(f, name, nameField) {
+  const { pasture, ...rest } = f.properties || {};
+  const props = { pasture: name, ...rest };
+  if (pasture != null && nameField !== "pasture" && String(pasture) !== name) props.pasture_original = pasture;
+  return { ...f, properties: props };
+}
+
+function BoundaryImportDialog({ pending, onCancel, onImport }) {
+  const fields = useMemo(() => {
+    const count = {};
+    for (const f of pending.fc.features) {
+      for (const [k, v] of Object.entries(f?.properties || {})) {
+        if (v != null && String(v).trim() !== "" && typeof v !== "object") count[k] = (count[k] || 0) + 1;
+      }
+    }
+    return Object.entries(count).sort((a, b) => b[1] - a[1]);
+  }, [pending]);
+  const [nameField, setNameField] = useState(() => fields.find(([k]) => NAME_FIELD_RE.test(k))?.[0] || fields[0]?.[0] || "");
+  const [crsInput, setCrsInput] = useState(pending.crsCode || "");
+
+  const projected = useMemo(() => looksProjected(pending.fc), [pending]);
+  const def = projected ? projDefFor(crsInput) : null;
+  const { fc, crsError } = useMemo(() => {
+    if (!projected) return { fc: pending.fc, crsError: "" };
+    if (!crsInput.trim()) return { fc: null, crsError: "Coordinates are projected. Enter the EPSG code (e.g. 26913 for NAD83 / UTM 13N) or a proj4 string." };
+    if (!def) return { fc: null, crsError: `"${crsInput.trim()}" is not a code recognised here (only WGS84, Web Mercator and UTM are built in). Paste the CRS's proj4 string instead, e.g. from epsg.io.` };
+    if (def === "EPSG:4326") return { fc: null, crsError: "The coordinates are projected, so they are not longitude/latitude. Enter the projected CRS's EPSG code or proj4 string." };
+    try {
+      const out = reprojectFC(pending.fc, def);
+      return looksProjected(out) ? { fc: null, crsError: "That CRS doesn't bring the coordinates into longitude/latitude." } : { fc: out, crsError: "" };
+    } catch (err) {
+      return { fc: null, crsError: `Reprojection failed: ${err.message}` };
+    }
+  }, [pending, projected, def, crsInput]);
+
+  const review = fc ? reviewFeatures(fc, nameField) : [];
+  const kept = review.filter(r => r.kept);
+
+  function doImport() {
+    onImport(kept.map(r => stampPastureName(fc.features[r.index], r.name, nameField)));
+  }
+
+  return (
+    <div className="fixed inset-0 z-[1000] flex items-center justify-center bg-black/30 p-4">
+      <div className="w-full max-w-3xl rounded-xl border border-gray-200 bg-white shadow-lg">
+        <div className="p-3 border-b border-gray-100">
+          <div className="font-semibold">Import pasture boundaries</div>
+          <div className="text-xs text-gray-600">
+            {pending.fileName} · {pending.format} · {pending.fc.features.length} feature{pending.fc.features.length === 1 ? "" : "s"}
+            {projected && def && !crsError && <> · reprojected from {crsInput} to WGS84</>}
+          </div>
+          {pending.notes.map(n => <div key={n} className="text-xs text-gray-600">{n}</div>)}
+        </div>
 
-      {/* arrows behind labels */}
-      {segments.map(seg => (
-        <path key={seg.key} d={seg.d} fill="none" stroke="#2563eb" strokeWidth="2" markerEnd="url(#arrowhead)" />
-      ))}
+        <div className="p-3 text-sm space-y-3">
+          {projected && (
+            <label className="flex flex-wrap items-center gap-2 text-xs">
+              Source CRS
+              <input className="w-72 rounded border border-gray-200 p-1" value={crsInput} placeholder="EPSG:26913 or +proj=utm +zone=13 …" onChange={(e) => setCrsInput(e.target.value)} />
+              {crsError && <span className="text-red-600">{crsError}</span>}
+            </label>
+          )}
 
-      {/* move numbers */}
-      {segments.map(seg => {
-        const [x, y] = seg.labelPos;
-        return (
-          <g key={`${seg.key}-num`}>
-            <circle cx={x} cy={y} r="10" fill="#ffffff" stroke="#0f172a" strokeWidth="1.5" />
-            <text x={x} y={y} textAnchor="middle" dominantBaseline="central" fontSize="11" fontWeight="700" fill="#0f172a" style={{ fontFamily: "system-ui, sans-serif" }}>
-              {seg.num}
-            </text>
-          </g>
-        );
-      })}
+          <label className="flex flex-wrap items-center gap-2 text-xs">
+            Pasture name field
+            <select className="rounded border border-gray-200 p-1" value={nameField} onChange={(e) => setNameField(e.target.value)}>
+              {!fields.length && <option value="">— no attributes —</option>}
+              {fields.map(([k, n]) => <option key={k} value={k}>{k} ({n} filled)</option>)}
+            </select>
+            {fc && <span className="text-gray-600">{kept.length} kept · {review.length - kept.length} skipped</span>}
+          </label>
 
-      {/* route labels */}
-      {routeAnchors.map((a, i) => (
-        <g key={`route-label-${i}`}>
-          <text x={a.x} y={a.y} textAnchor="middle" dominantBaseline="central" fontSize="12" fontWeight="700" stroke="#fff" strokeWidth="3" paintOrder="stroke" style={{ fontFamily: "system-ui, sans-serif" }}>
-            {a.name}
-          </text>
-          <text x={a.x} y={a.y} textAnchor="middle" dominantBaseline="central" fontSize="12" fontWeight="700" fill="#0f172a" style={{ fontFamily: "system-ui, sans-serif" }}>
-            {a.name}
-          </text>
-        </g>
-      ))}
+          {fc && (
+            <div className="max-h-[50vh] overflow-auto">
+              <table className="w-full text-xs">
+                <thead className="sticky top-0 bg-white text-left uppercase text-gray-500">
+                  <tr><th className="p-1">#</th><th className="p-1">Name</th><th className="p-1">Geometry</th><th className="p-1">Result</th></tr>
+                </thead>
+                <tbody>
+                  {review.map(r => (
+                    <tr key={r.index} className={`border-t border-gray-100 ${r.kept ? "" : "bg-red-50 text-gray-600"}`}>
+                      <td className="p-1 tabular-nums">{r.index + 1}</td>
+                      <td className="p-1">{r.name || "—"}</td>
+                      <td className="p-1">{r.type}</td>
+                      <td className="p-1">{r.kept ? "kept" : `skipped: ${r.reason}`}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
 
-      {/* non-route labels */}
-      {nonRouteLabels.map((lb, i) => (
-        <g key={`nonroute-${i}`}>
-          <text x={lb.x} y={lb.y} textAnchor="middle" dominantBaseline="central" fontSize="12" fontWeight="600" stroke="#fff" strokeWidth="3" paintOrder="stroke" style={{ fontFamily: "system-ui, sans-serif" }}>
-            {lb.text}
-          </text>
-          <text x={lb.x} y={lb.y} textAnchor="middle" dominantBaseline="central" fontSize="12" fontWeight="600" fill="#0f172a" style={{ fontFamily: "system-ui, sans-serif" }}>
-            {lb.text}
-          </text>
-        </g>
-      ))}
-    </svg>
+        <div className="p-3 flex justify-end gap-2 border-t border-gray-100">
+          <button className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50" onClick={onCancel}>Cancel</button>
+          <button className="rounded-lg bg-indigo-600 px-3 py-2 text-black shadow hover:bg-indigo-700 text-sm disabled:opacity-50" disabled={!kept.length} onClick={doImport}>
+            Import {kept.length} pasture{kept.length === 1 ? "" : "s"}
+          </button>
+        </div>
+      </div>
+    </div>
   );
 }
 
-/* ---------------- Map export (SVG/PNG) ---------------- */
-function StaticMapExportButtons({ svgRef }) {
-  function downloadSVG() {
-    const svg = svgRef.current;
-    if (!svg) return alert("Map not ready.");
-    const serializer = new XMLSerializer();
-    const source = serializer.serializeToString(svg);
-    const blob = new Blob([source], { type: "image/svg+xml;charset=utf-8" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url; a.download = "grazing_route.svg"; a.click();
-    URL.revokeObjectURL(url);
+/* ---------------- Pasture boundaries ---------------- */
+// keeps features that carry a pasture name and indexes them by lower-cased name
+function indexFeatures(features) {
+  const byName = {};
+  const feats = [];
+  for (const f of features || []) {
+    if (!f || !f.properties) continue;
+    const raw = featureName(f);
+    if (!raw) continue;
+    const name = raw.toLowerCase();
+    byName[name] = f;
+    feats.push(f);
   }
+  return { byName, feats };
+}
 
-  function downloadPNG(scale = 2) {
-    const svg = svgRef.current;
-    if (!svg) return alert("Map not ready.");
-    const serializer = new XMLSerializer();
-    const source = serializer.serializeToString(svg);
-
-    const vb = (svg.getAttribute("viewBox") || "0 0 1000 700").split(/\s+/).map(Number);
-    const vw = vb[2], vh = vb[3];
+/* ---------------- Operation Switcher ---------------- */
+function OperationSwitcher({ operations, operationId, onSwitch, onCreate, onRename, onDelete, onCopyPastures }) {
+  const [copyFrom, setCopyFrom] = useState("");
+  const others = operations.filter(o => o.id !== operationId);
 
-    const img = new Image();
-    const svgBlob = new Blob([source], { type: "image/svg+xml;charset=utf-8" });
-    const url = URL.createObjectURL(svgBlob);
+  return (
+    <div className="flex flex-wrap items-center gap-2 rounded-lg border border-gray-200 bg-white px-3 py-2 shadow-sm text-sm">
+      <Folder className="h-4 w-4" />
+      <select
+        className="rounded border border-gray-200 p-1 font-semibold"
+        value={operationId}
+        onChange={(e) => (e.target.value === "__new" ? onCreate() : onSwitch(e.target.value))}
+        title="Each operation has its own pastures, drafts, history and map"
+      >
+        {operations.map(o => <option key={o.id} value={o.id}>{o.name}</option>)}
+        <option value="__new">+ New operation…</option>
+      </select>
+      <button className="text-xs text-gray-600 hover:underline" onClick={onRename}>rename</button>
+      {operations.length > 1 && <button className="text-xs text-red-600 hover:underline" onClick={onDelete}>delete</button>}
+      {others.length > 0 && (
+        <span className="flex items-center gap-1 border-l border-gray-200 pl-2">
+          <select className="rounded border border-gray-200 p-1 text-xs" value={copyFrom} onChange={(e) => setCopyFrom(e.target.value)}>
+            <option value="">Copy pastures from…</option>
+            {others.map(o => <option key={o.id} value={o.id}>{o.name}</option>)}
+          </select>
+          <button
+            className="rounded border border-gray-200 px-2 py-1 text-xs hover:bg-gray-50 disabled:opacity-50"
+            disabled={!copyFrom}
+            onClick={() => { onCopyPastures(copyFrom); setCopyFrom(""); }}
+          >
+            Copy
+          </button>
+        </span>
+      )}
+    </div>
+  );
+}
 
-    const canvas = document.createElement("canvas");
-    canvas.width = Math.round(vw * scale);
-    canvas.height = Math.round(vh * scale);
-    const ctx = canvas.getContext("2d");
+/* ---------------- Main ---------------- */
+export default function App() {
+  const [operations, setOperations] = useState(loadOperations);
+  const [operationId, setOperationId] = useState(loadCurrentOperationId);
+  useEffect(() => { saveOperations(operations); }, [operations]);
 
-    img.onload = () => {
-      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-      URL.revokeObjectURL(url);
-      canvas.toBlob((pngBlob) => {
-        if (!pngBlob) return;
-        const dl = URL.createObjectURL(pngBlob);
-        const a = document.createElement("a");
-        a.href = dl; a.download = "grazing_route.png"; a.click();
-        URL.revokeObjectURL(dl);
-      }, "image/png");
-    };
-    img.onerror = () => { URL.revokeObjectURL(url); alert("PNG render failed."); };
-    img.src = url;
+  function switchOperation(id) {
+    if (id === operationId) return;
+    saveCurrentOperationId(id);
+    setOperationId(id);
+  }
+  function createOperation() {
+    const name = prompt("Name of the new operation (ranch or allotment):");
+    if (!name?.trim()) return;
+    const op = { id: crypto.randomUUID(), name: name.trim() };
+    setOperations(prev => [...prev, op]);
+    switchOperation(op.id);
+  }
+  function renameOperation() {
+    const current = operations.find(o => o.id === operationId);
+    const name = prompt("Rename operation:", current?.name || "");
+    if (!name?.trim()) return;
+    setOperations(prev => prev.map(o => (o.id === operationId ? { ...o, name: name.trim() } : o)));
+  }
+  function deleteOperation() {
+    const current = operations.find(o => o.id === operationId);
+    if (!confirm(`Delete operation "${current?.name}" with its plan, drafts, history and map? This cannot be undone.`)) return;
+    writeOperationData(operationId, {});
+    const rest = operations.filter(o => o.id !== operationId);
+    setOperations(rest);
+    switchOperation(rest[0].id);
   }
 
+  // key remounts the planner so every piece of state reloads from the operation's storage
   return (
-    <>
-      <button className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50" onClick={downloadSVG} title="Download vector map">
-        Export SVG
-      </button>
-      <button className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50" onClick={() => downloadPNG(2)} title="Download PNG (2×)">
-        Export PNG
-      </button>
-    </>
+    <GrazingPlanner
+      key={operationId}
+      operationId={operationId}
+      operationName={operations.find(o => o.id === operationId)?.name || ""}
+      operationSwitcher={(onCopyPastures) => (
+        <OperationSwitcher
+          operations={operations}
+          operationId={operationId}
+          onSwitch={switchOperation}
+          onCreate={createOperation}
+          onRename={renameOperation}
+          onDelete={deleteOperation}
+          onCopyPastures={onCopyPastures}
+        />
+      )}
+    />
   );
 }
 
-/* ---------------- Main ---------------- */
-export default function GrazingPlanner() {
-  const [startDate, setStartDate] = useState(() => localStorage.getItem(LS_KEYS.START_DATE) || "");
-  const prevPlannedDictRef = useRef(loadDict(LS_KEYS.PREV_PLANNED));
-  const prevActualDictRef = useRef(loadDict(LS_KEYS.PREV_ACTUAL));
+function GrazingPlanner({ operationId, operationName, operationSwitcher }) {
+  // storage keys of this operation; App remounts the planner when the operation changes
+  const keys = useMemo(() => operationKeys(operationId), [operationId]);
+  const [startDate, setStartDate] = useState(() => localStorage.getItem(keys.START_DATE) || "");
+  const prevPlannedDictRef = useRef(loadDict(keys.PREV_PLANNED));
+  const prevActualDictRef = useRef(loadDict(keys.PREV_ACTUAL));
   const [selectedRowId, setSelectedRowId] = useState(null);
 
   // drafts
-  const [draftsByYear, setDraftsByYear] = useState(loadDrafts);
+  const [draftsByYear, setDraftsByYear] = useState(() => loadDrafts(keys));
+  const [finalByYear, setFinalByYear] = useState(() => loadFinalByYear(keys));
+  useEffect(() => { saveFinalByYear(keys, finalByYear); }, [keys, finalByYear]);
+
+  // forage budget settings
+  const [budget, setBudget] = useState(() => loadBudget(keys));
+  useEffect(() => { saveBudget(keys, budget); }, [keys, budget]);
+
+  // rest / recovery rules
+  const [restRules, setRestRules] = useState(() => loadRestRules(keys));
+  useEffect(() => { saveRestRules(keys, restRules); }, [keys, restRules]);
 
-  // map/static svg state
-  const [featureByPasture, setFeatureByPasture] = useState({});
-  const [allFeatures, setAllFeatures] = useState([]);
+  // herds
+  const [herds, setHerds] = useState(() => loadHerds(keys));
+  const [herdFilter, setHerdFilter] = useState("");
+  useEffect(() => { saveHerds(keys, herds); }, [keys, herds]);
+
+  // animal-unit classes
+  const [auClasses, setAUClasses] = useState(() => loadAUClasses(keys));
+  useEffect(() => { saveAUClasses(keys, auClasses); }, [keys, auClasses]);
+
+  // adjacency tolerance (metres)
+  const [adjTolerance, setAdjTolerance] = useState(() => toNum(localStorage.getItem(keys.ADJ_TOLERANCE) ?? 30));
+  useEffect(() => { localStorage.setItem(keys.ADJ_TOLERANCE, String(adjTolerance)); }, [keys, adjTolerance]);
+
+  // critical-season windows
+  const [windows, setWindows] = useState(() => loadWindows(keys));
+  useEffect(() => { saveWindows(keys, windows); }, [keys, windows]);
+
+  // map/static svg state (boundaries persist per operation)
+  const [storedGeo] = useState(() => indexFeatures(loadGeoJSON(keys)?.features));
+  const [featureByPasture, setFeatureByPasture] = useState(storedGeo.byName);
+  const [allFeatures, setAllFeatures] = useState(storedGeo.feats);
   const geoRef = useRef(null);
   const svgRef = useRef(null);
+  const [mapMode, setMapMode] = useState("static");   // "static" | "interactive"
+  const [mapTheme, setMapTheme] = useState("plain");   // key of MAP_THEMES
 
   const defaultRows = [
     newRow({ pasture: "UA-E", acreage: 156, herdSize: 110, grazingDays: 0 }),
@@ -569,155 +4161,411 @@ export default function GrazingPlanner() {
   ];
 
   const [rows, setRows] = useState(() => {
-    const loaded = loadRows();
-    const base = loaded && Array.isArray(loaded) && loaded.length ? loaded : defaultRows;
-    return seedPreviousSeasonAndEstimates(base, prevPlannedDictRef.current, prevActualDictRef.current);
+    const loaded = loadRows(keys);
+    // the built-in pasture list belongs to the original ranch; new operations start blank
+    const fallback = operationId === DEFAULT_OP_ID ? defaultRows : [newRow()];
+    const base = loaded && Array.isArray(loaded) && loaded.length ? loaded : fallback;
+    return seedPreviousSeasonAndEstimates(base, prevPlannedDictRef.current, prevActualDictRef.current, loadPastures(keys) || []);
   });
 
-  function seedPreviousSeasonAndEstimates(list, prevPlanned, prevActual) {
+  // pasture registry; an operation without one starts from the pastures already in its plan
+  const [pastures, setPastures] = useState(() => loadPastures(keys) ?? registryFromRows(rows));
+  useEffect(() => { savePastures(keys, pastures); }, [keys, pastures]);
+
+  // registry pastures whose map feature has a different name resolve to it under their own name and aliases
+  const linkedFeatures = useMemo(() => {
+    const m = { ...featureByPasture };
+    for (const p of pastures) {
+      const f = [p.featureName, p.name, ...(p.aliases || [])].map(n => featureByPasture[String(n || "").trim().toLowerCase()]).find(Boolean);
+      if (!f) continue;
+      for (const n of [p.name, ...(p.aliases || [])]) {
+        const k = String(n || "").trim().toLowerCase();
+        if (k && !m[k]) m[k] = f;
+      }
+    }
+    return m;
+  }, [featureByPasture, pastures]);
+
+  // names from plan rows, imports and the map that don't resolve to a registry pasture
+  const [unmatchedEstimates, setUnmatchedEstimates] = useState(() => loadUnmatchedEstimates(keys));
+  useEffect(() => { saveUnmatchedEstimates(keys, unmatchedEstimates); }, [keys, unmatchedEstimates]);
+  const reconcileItems = useMemo(() => {
+    if (!pastures.length && !rows.length) return [];
+    const idx = registryIndex(pastures);
+    const known = (name) => idx.has(String(name || "").trim().toLowerCase());
+    const items = [];
+    const add = (source, name, detail = "") => {
+      const key = `${source}:${String(name).trim().toLowerCase()}`;
+      if (!items.some(it => it.key === key)) items.push({ key, source, name: String(name).trim(), detail });
+    };
+    for (const r of rows) if (!isGap(r) && r.pasture && !r.pastureId && !known(r.pasture)) add("plan", r.pasture);
+    for (const [name, v] of Object.entries(unmatchedEstimates)) add("estimates", name, `native ${v.estNativeADA ?? "—"} · introduced ${v.estPerennialADA ?? "—"}`);
+    for (const name of new Set([...Object.keys(prevPlannedDictRef.current), ...Object.keys(prevActualDictRef.current)])) {
+      if (!known(name)) add("previous", name);
+    }
+    const featureNames = new Set(pastures.map(p => String(p.featureName || "").trim().toLowerCase()).filter(Boolean));
+    for (const f of allFeatures) {
+      const name = featureName(f);
+      if (name && !known(name) && !featureNames.has(name.toLowerCase())) add("map", name);
+    }
+    return items;
+  // the prev-season refs change together with rows (they are re-seeded on every import)
+  }, [rows, pastures, unmatchedEstimates, allFeatures]);
+
+  // links: [item, pastureId] pairs, saved as aliases in one registry update
+  function linkNames(links) {
+    let next = pastures;
+    for (const [item, pastureId] of links) {
+      const alias = item.name.trim();
+      next = next.map(p => (p.id === pastureId && ![p.name, ...(p.aliases || [])].some(n => n.toLowerCase() === alias.toLowerCase())
+        ? { ...p, aliases: [...(p.aliases || []), alias] }
+        : p));
+    }
+    setPastures(next);
+    for (const [item, pastureId] of links) {
+      const target = next.find(p => p.id === pastureId);
+      if (target) applyReconciled(item, next, target);
+    }
+  }
+
+  function registerName(item) {
+    const f = item.source === "map" ? allFeatures.find(x => featureName(x) === item.name) : null;
+    const p = newPasture({ name: item.name, acreage: f ? featureAcres(f) ?? 0 : toNum(rows.find(r => r.pasture === item.name)?.acreage) });
+    const next = [...pastures, p];
+    setPastures(next);
+    applyReconciled(item, next, p);
+  }
+
+  // re-seeds what the new alias resolves: pending estimates, previous-season values
+  function applyReconciled(item, registry, target) {
+    if (item.source === "estimates") {
+      const v = unmatchedEstimates[item.name];
+      const idx = registryIndex(registry);
+      const k = target.name.trim().toLowerCase();
+      setRows(prev => prev.map(r => (canonicalKey(r.pasture, idx) === k ? { ...r, ...v } : r)));
+      setUnmatchedEstimates(prev => { const next = { ...prev }; delete next[item.name]; return next; });
+    }
+    if (item.source === "previous") {
+      setRows(prev => seedPreviousSeasonAndEstimates(prev, prevPlannedDictRef.current, prevActualDictRef.current, registry));
+    }
+  }
+
+  function dismissName(item) {
+    setUnmatchedEstimates(prev => { const next = { ...prev }; delete next[item.name]; return next; });
+  }
+
+  // previous-season dictionaries are keyed by whatever name was imported; aliases resolve them
+  function seedPreviousSeasonAndEstimates(list, prevPlanned, prevActual, registry) {
+    const idx = registryIndex(registry);
+    const byKey = (dict) => new Map(Object.entries(dict || {}).map(([k, v]) => [canonicalKey(k, idx), v]));
+    const planned = byKey(prevPlanned), actual = byKey(prevActual);
     return list.map(r => ({
       ...r,
-      prevPlannedADA: prevPlanned?.[r.pasture] ?? r.prevPlannedADA,
-      prevActualADA: prevActual?.[r.pasture] ?? r.prevActualADA,
+      prevPlannedADA: planned.get(canonicalKey(r.pasture, idx)) ?? r.prevPlannedADA,
+      prevActualADA: actual.get(canonicalKey(r.pasture, idx)) ?? r.prevActualADA,
     }));
   }
 
+
   // persist rows & start
-  useEffect(() => { saveRows(rows); }, [rows]);
-  useEffect(() => { localStorage.setItem(LS_KEYS.START_DATE, startDate || ""); }, [startDate]);
+  useEffect(() => { saveRows(keys, rows); }, [keys, rows]);
+  useEffect(() => { localStorage.setItem(keys.START_DATE, startDate || ""); }, [keys, startDate]);
 
   // recompute dependent fields
   useEffect(() => {
-    const recomputed = recompute(rows, startDate);
+    const recomputed = recompute(rows, startDate, herds, auClasses, pastures);
     const changed = JSON.stringify(rows) !== JSON.stringify(recomputed);
     if (changed) setRows(recomputed);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [startDate, JSON.stringify(rows.map(r => ({ id: r.id, pasture: r.pasture, acreage: r.acreage, herdSize: r.herdSize, grazingDays: r.grazingDays })))]);
+  }, [startDate, JSON.stringify(herds.map(h => [h.id, h.startDate])), JSON.stringify(auClasses), JSON.stringify(pastures.map(p => [p.id, p.name, p.aliases, p.acreage])), JSON.stringify(rows.map(r => ({ id: r.id, kind: r.kind, pinnedStart: r.pinnedStart, herdId: r.herdId, pastureId: r.pastureId, pasture: r.pasture, acreage: r.acreage, herdSize: r.herdSize, composition: r.composition, grazingDays: r.grazingDays })))]);
 
-  function recompute(list, planStart) {
-    const out = list.map(r => ({ ...r }));
-    for (const r of out) r.proposedADA = computeProposedADA(r.grazingDays, r.herdSize, r.acreage);
-    let currentStart = toISO(planStart);
+  function recompute(list, planStart, herdList, classes, registry) {
+    const out = resolvePastures(list, registry).map(r => ({ ...r, herdId: herdOf(r, herdList).id }));
+    for (const r of out) {
+      if (hasComposition(r)) r.herdSize = compositionHead(r);
+      r.animalUnits = computeAnimalUnits(r, classes);
+      r.proposedADA = isGap(r) ? 0 : computeProposedADA(r.grazingDays, r.animalUnits, r.acreage);
+    }
+    // one date chain per herd, in table order; a pinned start resets the chain to its date
+    const currentStart = new Map(herdList.map(h => [h.id, toISO(h.startDate || planStart)]));
+    const hasStay = new Set();   // herds with an earlier stay in the chain
     for (let i = 0; i < out.length; i++) {
       const r = out[i];
-      if (!currentStart) { r.startDate = ""; r.endDate = ""; continue; }
+      const chained = currentStart.get(r.herdId);
+      const pin = toISO(r.pinnedStart);
+      r.idleDaysBefore = 0;
+      r.pinConflictDays = 0;
+      r.pinEarlyDays = 0;
+      if (pin && chained) {
+        const diff = daysBetweenISO(chained, pin);
+        if (diff > 0) r.idleDaysBefore = diff;
+        else if (hasStay.has(r.herdId)) r.pinConflictDays = -diff;
+        else r.pinEarlyDays = -diff;
+      }
+      const start = pin || chained;
+      if (!start) { r.startDate = ""; r.endDate = ""; continue; }
       const days = Math.max(0, toNum(r.grazingDays));
-      r.startDate = currentStart;
-      r.endDate = days > 0 ? addDaysISO(currentStart, days - 1) : currentStart;
-      currentStart = addDaysISO(r.endDate, 1);
+      r.startDate = start;
+      r.endDate = days > 0 ? addDaysISO(start, days - 1) : start;
+      currentStart.set(r.herdId, addDaysISO(r.endDate, 1));
+      hasStay.add(r.herdId);
     }
     return out;
   }
 
+  // undo / redo; settings are captured only by actions that replace them (draft loads),
+  // the registry only by edits that go to it (acreage of a linked row)
+  const [history, setHistory] = useState({ past: [], future: [] });
+  const lastRecordRef = useRef({ key: "", ts: 0 });
+  function record(label, { mergeKey = "", settings = false, registry = false } = {}) {
+    const now = Date.now();
+    const last = lastRecordRef.current;
+    lastRecordRef.current = { key: mergeKey, ts: now };
+    // keystrokes in one cell make one step
+    if (mergeKey && last.key === mergeKey && now - last.ts < 1500) return;
+    const state = {
+      rows, startDate,
+      ...(settings ? { herds, windows, auClasses } : {}),
+      ...(registry ? { pastures } : {}),
+    };
+    setHistory(h => ({ past: [...h.past, { id: crypto.randomUUID(), label, ts: now, state }].slice(-HISTORY_LIMIT), future: [] }));
+  }
+  function stepPlan(steps) {
+    const { history: next, state } = stepHistory(history, { rows, startDate, herds, windows, auClasses, pastures }, steps);
+    setHistory(next);
+    setRows(state.rows); setStartDate(state.startDate); setHerds(state.herds); setWindows(state.windows); setAUClasses(state.auClasses); setPastures(state.pastures);
+    lastRecordRef.current = { key: "", ts: 0 };
+  }
+  // the shortcut handler is subscribed once and calls the latest stepPlan
+  const stepPlanRef = useRef(stepPlan);
+  useEffect(() => { stepPlanRef.current = stepPlan; });
+  useEffect(() => {
+    function onKey(e) {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      // text fields keep their own undo
+      const t = e.target;
+      if (t?.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t?.tagName || "")) return;
+      const k = e.key.toLowerCase();
+      if (k === "z" && !e.shiftKey) { e.preventDefault(); stepPlanRef.current(-1); }
+      else if ((k === "z" && e.shiftKey) || k === "y") { e.preventDefault(); stepPlanRef.current(1); }
+    }
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+  const planYear = (startDate && /^\d{4}/.test(startDate)) ? startDate.slice(0, 4) : String(new Date().getFullYear());
+  const rowLabel = (id) => { const r = rows.find(x => x.id === id); return r?.pasture || "row"; };
+
   // row handlers
-  function updateRow(id, patch) { setRows(prev => prev.map(r => (r.id === id ? { ...r, ...patch } : r))); }
-  function deleteRow(id) { setRows(prev => prev.filter(r => r.id !== id)); }
+  function updateRow(id, patch) {
+    const row = rows.find(r => r.id === id);
+    record(`Edit ${rowLabel(id)} (${Object.keys(patch).join(", ")})`, { mergeKey: `${id}:${Object.keys(patch).sort().join()}`, registry: Boolean(row?.pastureId && "acreage" in patch) });
+    // acreage of a registry pasture is edited once, in the registry
+    if (row?.pastureId && "acreage" in patch) {
+      const { acreage, ...rest } = patch;
+      setPastures(prev => prev.map(p => (p.id === row.pastureId ? { ...p, acreage } : p)));
+      patch = rest;
+    }
+    // renaming the row unlinks it; recompute links it again if the new name is registered
+    if ("pasture" in patch) patch = { ...patch, pastureId: null };
+    setRows(prev => prev.map(r => (r.id === id ? { ...r, ...patch } : r)));
+  }
+  function deleteRow(id) { record(`Delete ${rowLabel(id)}`); setRows(prev => prev.filter(r => r.id !== id)); }
   function duplicateRow(id) {
+    record(`Duplicate ${rowLabel(id)}`);
     setRows(prev => {
       const idx = prev.findIndex(r => r.id === id);
       if (idx < 0) return prev;
-      const copy = { ...prev[idx], id: crypto.randomUUID() };
+      const copy = { ...prev[idx], id: crypto.randomUUID(), actual: null };
       const next = [...prev.slice(0, idx + 1), copy, ...prev.slice(idx + 1)];
       return next;
     });
   }
-  function addEmptyRow() { setRows(prev => [...prev, newRow({ pasture: "New Pasture", acreage: 0, herdSize: 0, grazingDays: 0 })]); }
+  function applySuggestedDays(daysById) {
+    record("Apply suggested grazing days");
+    setRows(prev => prev.map(r => (r.id in daysById ? { ...r, grazingDays: daysById[r.id] } : r)));
+  }
+  function addEmptyRow() { record("Add row"); setRows(prev => [...prev, newRow({ pasture: "New Pasture", acreage: 0, herdSize: 0, grazingDays: 0, herdId: herdFilter || null })]); }
+  function addGapRow() { record("Add off-pasture gap"); setRows(prev => [...prev, newRow({ kind: "gap", pasture: "Off pasture", herdId: herdFilter || null, grazingDays: 0 })]); }
   function copySelectedRow() { if (selectedRowId) duplicateRow(selectedRowId); }
-  function clearTable() { if (confirm("Clear all rows and reset to a blank table?")) { setRows([newRow()]); setSelectedRowId(null); } }
+  // head of a removed class move to another class instead of silently counting as 1 AU each
+  function removeAUClass(id) {
+    const cls = auClasses.find(c => c.id === id);
+    const rest = auClasses.filter(c => c.id !== id);
+    const using = rows.filter(r => toNum(r.composition?.[id]) > 0);
+    const target = rest.find(c => toNum(c.factor) === 1) || rest[0];
+    if (using.length) {
+      if (!target) { alert(`${cls?.label || "This class"} is the only class and rows still use it.`); return; }
+      const head = using.reduce((s, r) => s + toNum(r.composition[id]), 0);
+      if (!confirm(`${head} head in ${using.length} row(s) are ${cls?.label || "this class"}. Remove the class and count them as ${target.label} (${target.factor} AU/head)?`)) return;
+    }
+    record("Remove AU class", { settings: true });
+    setRows(prev => prev.map(r => {
+      if (!(id in (r.composition || {}))) return r;
+      const { [id]: moved, ...composition } = r.composition;
+      if (toNum(moved) > 0) composition[target.id] = toNum(composition[target.id]) + toNum(moved);
+      return { ...r, composition };
+    }));
+    setAUClasses(rest);
+  }
+  function clearTable() { if (confirm("Clear all rows and reset to a blank table?")) { record("Clear table"); setRows([newRow()]); setSelectedRowId(null); } }
   function restoreDefaults() {
-    if (!confirm("Reset rows to the built-in default pasture list?")) return;
-    const seeded = seedPreviousSeasonAndEstimates(defaultRows, prevPlannedDictRef.current, prevActualDictRef.current);
-    saveRows(seeded); setRows(seeded); setSelectedRowId(null);
+    if (!confirm("Reset rows to one row per pasture in the registry?")) return;
+    const herdSize = rows.find(r => !isGap(r) && toNum(r.herdSize) > 0)?.herdSize ?? 0;
+    const base = pastures.length ? pastures.map(p => newRow({ pastureId: p.id, pasture: p.name, acreage: toNum(p.acreage), herdSize })) : defaultRows;
+    const seeded = seedPreviousSeasonAndEstimates(base, prevPlannedDictRef.current, prevActualDictRef.current, pastures);
+    record("Reset to registry pastures");
+    saveRows(keys, seeded); setRows(seeded); setSelectedRowId(null);
   }
   function handleDragEnd(event) {
     const { active, over } = event;
     if (!over || active.id === over.id) return;
     const oldIndex = rows.findIndex(r => r.id === active.id);
     const newIndex = rows.findIndex(r => r.id === over.id);
+    record(`Move ${rowLabel(active.id)}`);
     setRows(arrayMove(rows, oldIndex, newIndex));
   }
 
-  // CSV import
+  // CSV / Excel import: parse, then preview with a column mapping before anything changes
   const fileRef = useRef(null);
+  const [pendingCSV, setPendingCSV] = useState(null);
   function handleFileUpload(kind) { if (!fileRef.current) return; fileRef.current.dataset.kind = kind; fileRef.current.click(); }
+  function previewImport(kind, fileName, table, extra = {}) {
+    setPendingCSV({ kind, fileName, parseErrors: [], ...extra, ...table, ...detectCSVMapping(kind, table.headers, loadCSVMappings(keys)) });
+  }
   function onFileChange(e) {
     const file = e.target.files?.[0];
     if (!file) return;
     const kind = e.target.dataset.kind || "estimates";
+    e.target.value = "";
+    if (/\.xlsx$/i.test(file.name)) {
+      file.arrayBuffer().then(readWorkbookSheets).then(sheets => {
+        if (!Object.keys(sheets).length) return alert("The workbook has no sheet with a header row.");
+        const sheet = bestSheetFor(kind, sheets);
+        previewImport(kind, file.name, sheets[sheet], { sheets, sheet });
+      }).catch(err => alert("Excel read error: " + err?.message));
+      return;
+    }
     Papa.parse(file, {
       header: true, dynamicTyping: true, skipEmptyLines: true,
-      complete: ({ data }) => {
+      complete: ({ data, errors, meta }) => {
         if (!Array.isArray(data)) return;
-        if (kind === "estimates") applyEstimatesFromCSV(data);
-        else applyPreviousSeasonFromCSV(data);
+        const headers = (meta?.fields || Object.keys(data[0] || {})).filter(Boolean);
+        const parseErrors = (errors || []).slice(0, 10).map(er => (er.row != null ? `Line ${er.row + 2}: ${er.message}` : er.message));
+        previewImport(kind, file.name, { headers, data }, { parseErrors });
       },
       error: (err) => alert("CSV parse error: " + err?.message),
     });
-    e.target.value = "";
   }
 
-  function applyEstimatesFromCSV(rowsFromCSV) {
-    const norm = (s) => (s || "").toString().trim().toLowerCase();
-    const first = rowsFromCSV[0] || {};
-    const keys = Object.keys(first || {});
-    const pastureKey = keys.find(k => /pasture|paddock|unit/.test(norm(k))) || "Pasture";
-    const nativeKey = keys.find(k => /(est.*native.*ada)|(native.*ada)/.test(norm(k))) || "EstNativeADA";
-    const perenKey = keys.find(k => /(est.*per.*ada)|(perennial.*ada)/.test(norm(k))) || "EstPerennialADA";
-
-    const lookup = new Map();
-    for (const row of rowsFromCSV) {
-      const p = String(row[pastureKey] ?? "").trim();
-      if (!p) continue;
-      const n = row[nativeKey] ?? null;
-      const g = row[perenKey] ?? null;
-      lookup.set(p.toLowerCase(), { estNativeADA: n, estPerennialADA: g });
+  // what an import would change, without changing anything
+  function previewCSVImport(kind, data, mapping) {
+    const read = readCSVImport(kind, data, mapping);
+    const idx = registryIndex(pastures);
+    const changes = [];
+    const seen = new Set();
+    const change = (target, field, from, to) => {
+      const key = `${target}|${field}`;
+      if (seen.has(key) || (from ?? null) === (to ?? null)) return;
+      seen.add(key);
+      changes.push({ target, field, from, to });
+    };
+    if (kind === "estimates") {
+      const byKey = new Map(read.values.map(v => [canonicalKey(v.name, idx), v.fields]));
+      for (const r of rows) {
+        const hit = !isGap(r) && byKey.get(canonicalKey(r.pasture, idx));
+        if (hit) for (const [field, to] of Object.entries(hit)) change(r.pasture, field, r[field], to);
+      }
+      const inPlan = new Set(rows.map(r => canonicalKey(r.pasture, idx)));
+      return { ...read, changes, unmatched: read.values.filter(v => !inPlan.has(canonicalKey(v.name, idx))) };
+    }
+    const dicts = { prevPlannedADA: prevPlannedDictRef.current, prevActualADA: prevActualDictRef.current };
+    // a pasture listed twice takes its later values, as applyPreviousSeasonFromCSV does
+    const latest = new Map();
+    for (const v of read.values) {
+      for (const [field, to] of Object.entries(v.fields)) if (to != null) latest.set(`${v.name}|${field}`, { name: v.name, field, to });
     }
+    for (const { name, field, to } of latest.values()) change(name, field, dicts[field][name], to);
+    return { ...read, changes, unmatched: [] };
+  }
+
+  function importPendingCSV(mapping, preview) {
+    const { kind, headers } = pendingCSV;
+    saveCSVMappings(keys, { ...loadCSVMappings(keys), [csvLayoutKey(kind, headers)]: mapping });
+    if (kind === "estimates") applyEstimatesFromCSV(preview);
+    else applyPreviousSeasonFromCSV(preview);
+    setPendingCSV(null);
+  }
+
+  function applyEstimatesFromCSV({ values, unmatched }) {
+    const idx = registryIndex(pastures);
+    const lookup = new Map(values.map(v => [canonicalKey(v.name, idx), v.fields]));
+    record("Import estimates");
     setRows(prev => prev.map(r => {
-      const hit = lookup.get(String(r.pasture).toLowerCase());
+      const hit = !isGap(r) && lookup.get(canonicalKey(r.pasture, idx));
       return hit ? { ...r, ...hit } : r;
     }));
+    setUnmatchedEstimates(Object.fromEntries(unmatched.map(v => [v.name, { estNativeADA: null, estPerennialADA: null, ...v.fields }])));
   }
 
-  function applyPreviousSeasonFromCSV(rowsFromCSV) {
-    const norm = (s) => (s || "").toString().trim().toLowerCase();
-    const first = rowsFromCSV[0] || {};
-    const keys = Object.keys(first || {});
-    const pastureKey = keys.find(k => /pasture|paddock|unit/.test(norm(k))) || "Pasture";
-    const plannedKey = keys.find(k => /(prev.*plan.*ada)|(plan.*ada)/.test(norm(k))) || "PrevPlannedADA";
-    const actualKey = keys.find(k => /(prev.*act.*ada)|(actual.*ada)/.test(norm(k))) || "PrevActualADA";
-
+  function applyPreviousSeasonFromCSV({ values }) {
     const plannedDict = { ...prevPlannedDictRef.current };
     const actualDict = { ...prevActualDictRef.current };
 
-    for (const row of rowsFromCSV) {
-      const p = String(row[pastureKey] ?? "").trim();
-      if (!p) continue;
-      const planned = row[plannedKey] ?? null;
-      const actual = row[actualKey] ?? null;
-      if (planned != null) plannedDict[p] = planned;
-      if (actual != null) actualDict[p] = actual;
+    for (const { name, fields } of values) {
+      if (fields.prevPlannedADA != null) plannedDict[name] = fields.prevPlannedADA;
+      if (fields.prevActualADA != null) actualDict[name] = fields.prevActualADA;
     }
 
     prevPlannedDictRef.current = plannedDict;
     prevActualDictRef.current = actualDict;
-    saveDict(LS_KEYS.PREV_PLANNED, plannedDict);
-    saveDict(LS_KEYS.PREV_ACTUAL, actualDict);
-    setRows(prev => seedPreviousSeasonAndEstimates(prev, plannedDict, actualDict));
+    saveDict(keys.PREV_PLANNED, plannedDict);
+    saveDict(keys.PREV_ACTUAL, actualDict);
+    record("Import previous season");
+    setRows(prev => seedPreviousSeasonAndEstimates(prev, plannedDict, actualDict, pastures));
+  }
+
+  // the season's planned ADA comes from its final draft when one is marked, else from the table
+  function plannedRowsForSeason() {
+    const finalId = finalByYear[planYear];
+    const d = finalId && (draftsByYear[planYear] || []).find(x => x.id === finalId);
+    if (!d) return { rows, label: "the current table" };
+    return { rows: prepareComparePlan({ draft: d }).rows, label: `the final ${planYear} plan "${d.name || "Draft " + ((draftsByYear[planYear] || []).indexOf(d) + 1)}"` };
   }
 
   function saveCurrentAsPrevPlanned() {
-    const dict = { ...prevPlannedDictRef.current };
-    for (const r of rows) if (r.pasture) dict[r.pasture] = r.proposedADA;
+    const source = plannedRowsForSeason();
+    if (!confirm(`Store planned ADA from ${source.label} as Prev. Planned?`)) return;
+    const dict = { ...prevPlannedDictRef.current, ...adaByPasture(source.rows, r => r.proposedADA) };
     prevPlannedDictRef.current = dict;
-    saveDict(LS_KEYS.PREV_PLANNED, dict);
-    setRows(prev => seedPreviousSeasonAndEstimates(prev, dict, prevActualDictRef.current));
+    saveDict(keys.PREV_PLANNED, dict);
+    setRows(prev => seedPreviousSeasonAndEstimates(prev, dict, prevActualDictRef.current, pastures));
+  }
+
+  function closeSeason() {
+    const actual = adaByPasture(rows, r => computeActualUse(r)?.ada);
+    const source = plannedRowsForSeason();
+    const msg = Object.keys(actual).length
+      ? `Write planned ADA (from ${source.label}) and recorded actual ADA per pasture into Prev. Planned / Prev. Actual?`
+      : `No actual use has been recorded. Write planned ADA only (from ${source.label}) into Prev. Planned?`;
+    if (!confirm(msg)) return;
+    const plannedDict = { ...prevPlannedDictRef.current, ...adaByPasture(source.rows, r => r.proposedADA) };
+    const actualDict = { ...prevActualDictRef.current, ...actual };
+    prevPlannedDictRef.current = plannedDict;
+    prevActualDictRef.current = actualDict;
+    saveDict(keys.PREV_PLANNED, plannedDict);
+    saveDict(keys.PREV_ACTUAL, actualDict);
+    setRows(prev => seedPreviousSeasonAndEstimates(prev, plannedDict, actualDict, pastures));
   }
 
   function exportCSV() {
     const data = rows.map(r => ({
+      Type: isGap(r) ? "Gap" : "Pasture",
       Pasture: r.pasture,
       Acreage: r.acreage,
+      Herd: herdOf(r, herds).name,
       HerdSize: r.herdSize,
+      AnimalUnits: r.animalUnits,
+      Composition: compositionLabel(r, auClasses),
       PrevPlannedADA: r.prevPlannedADA,
       PrevActualADA: r.prevActualADA,
       EstNativeADA: r.estNativeADA,
@@ -726,6 +4574,12 @@ export default function GrazingPlanner() {
       ProposedADA: r.proposedADA,
       ProjectedStart: r.startDate,
       ProjectedEnd: r.endDate,
+      PinnedStart: r.pinnedStart || "",
+      CriticalWindows: windowsForRow(r, windows).map(w => w.name).join("; "),
+      ActualIn: r.actual?.inDate || "",
+      ActualOut: r.actual?.outDate || "",
+      ActualHead: computeActualUse(r)?.head ?? "",
+      ActualADA: computeActualUse(r)?.ada ?? "",
       Notes: r.notes,
     }));
     const csv = Papa.unparse(data);
@@ -736,6 +4590,34 @@ export default function GrazingPlanner() {
     URL.revokeObjectURL(url);
   }
 
+  function exportWorkbook() {
+    const drafts = Object.keys(draftsByYear).sort().flatMap(year => (draftsByYear[year] || []).map((d, i) => ({
+      year, name: d.name || `Draft ${i + 1}`, final: finalByYear[year] === d.id, ts: d.ts, ...prepareComparePlan({ draft: d }),
+    })));
+    const wb = buildPlanWorkbook({ rows, herds, startDate, windows, drafts, prevPlanned: prevPlannedDictRef.current, prevActual: prevActualDictRef.current });
+    wb.xlsx.writeBuffer()
+      .then(buf => downloadText(buf, `grazing_plan_${new Date().toISOString().slice(0, 10)}.xlsx`, "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"))
+      .catch(err => alert("Excel export failed: " + err?.message));
+  }
+
+  function exportPlanGIS(kind) {
+    const fc = planFeatureCollection(rows, { herds, featureByPasture: linkedFeatures });
+    if (!fc.features.length) return alert("No plan rows are linked to pasture boundaries. Import boundaries first.");
+    const base = `grazing_plan_${new Date().toISOString().slice(0, 10)}`;
+    if (kind === "kml") {
+      const name = `${operationName ? `${operationName} – ` : ""}Grazing plan ${planYear}`;
+      downloadText(buildPlanKML(fc, { name, herds }), `${base}.kml`, "application/vnd.google-earth.kml+xml");
+    } else downloadText(JSON.stringify(fc, null, 2), `${base}.geojson`, "application/geo+json");
+  }
+
+  function exportICS() {
+    const herd = herdFilter ? herds.find(h => h.id === herdFilter) : null;
+    if (!rows.some(r => r.startDate)) return alert("Set a Season Start first.");
+    const name = herd ? `Grazing plan – ${herd.name}` : "Grazing plan";
+    const slug = herd ? `_${herd.name.replace(/\W+/g, "_")}` : "";
+    downloadText(buildICS(rows, { herds, calName: name, herdId: herd?.id }), `grazing_moves${slug}_${new Date().toISOString().slice(0, 10)}.ics`, "text/calendar;charset=utf-8");
+  }
+
   // totals
   const totals = useMemo(() => {
     const totalADA = rows.reduce((s, r) => s + toNum(r.proposedADA), 0);
@@ -743,56 +4625,135 @@ export default function GrazingPlanner() {
     return { totalADA: +totalADA.toFixed(2), totalDays };
   }, [rows]);
 
+  const restIssues = useMemo(() => checkRestPeriods(rows, restRules), [rows, restRules]);
+  const herdOverlaps = useMemo(() => findHerdOverlaps(rows), [rows]);
+  const adjacency = useMemo(() => buildAdjacency(linkedFeatures, adjTolerance), [linkedFeatures, adjTolerance]);
+  const moves = useMemo(() => checkMoves(rows, adjacency, herds), [rows, adjacency, herds]);
+
+  function suggestOrderByAdjacency() {
+    const order = suggestAdjacentOrder(rows, adjacency, herds);
+    const m = Object.values(checkMoves(order, adjacency, herds));
+    return { order, badMoves: m.filter(x => !x.adjacent).length, km: +m.reduce((s, x) => s + x.km, 0).toFixed(1) };
+  }
+  const visibleRows = herdFilter ? rows.filter(r => herdOf(r, herds).id === herdFilter) : rows;
+
+  // sets acreage on every row of a pasture (all repeat visits)
+  function setPastureAcreage(pasture, acres) {
+    const k = String(pasture || "").trim().toLowerCase();
+    const p = registryIndex(pastures).get(k);
+    if (p) setPastures(prev => prev.map(x => (x.id === p.id ? { ...x, acreage: acres } : x)));
+    setRows(prev => prev.map(r => (String(r.pasture || "").trim().toLowerCase() === k ? { ...r, acreage: acres } : r)));
+  }
+
+  function addPastureRow(name) {
+    const p = registryIndex(pastures).get(String(name || "").trim().toLowerCase());
+    const f = linkedFeatures[String(name || "").trim().toLowerCase()];
+    const r = p
+      ? newRow({ pastureId: p.id, pasture: p.name, acreage: toNum(p.acreage), herdId: herdFilter || null })
+      : newRow({ pasture: name, acreage: f ? featureAcres(f) ?? 0 : 0, herdId: herdFilter || null });
+    record(`Add ${r.pasture || "pasture"}`);
+    setRows(prev => [...prev, r]);
+    return r.id;
+  }
+
+  function applyRowOrder(ids, label = "Reorder rows") {
+    record(label);
+    setRows(prev => {
+      const byId = new Map(prev.map(r => [r.id, r]));
+      const listed = new Set(ids);
+      // rows the order doesn't know about (added since it was made) stay, at the end
+      return [...ids.map(id => byId.get(id)).filter(Boolean), ...prev.filter(r => !listed.has(r.id))];
+    });
+  }
+
   // geojson upload
   function handleGeoUploadClick() { geoRef.current?.click(); }
+  const [pendingGeo, setPendingGeo] = useState(null);
   function onGeoFileChange(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    e.target.value = '';
+    readBoundaryFile(file)
+      .then(res => setPendingGeo({ fileName: file.name, ...res }))
+      .catch(err => alert(`Could not read ${file.name}: ${err?.message}`));
+  }
+  function importBoundaries(features) {
+    const { byName, feats } = indexFeatures(features);
+    setFeatureByPasture(byName);
+    setAllFeatures(feats);
+    setPendingGeo(null);
+    if (!saveGeoJSON(keys, { type: "FeatureCollection", features: feats })) alert(GEOJSON_NOT_STORED);
+  }
+
+  // brings another operation's pastures (name, acreage, boundary) into this one
+  function copyPasturesFrom(opId) {
+    const other = readOperationData(opId);
+    const source = Array.isArray(other.pastures) ? other.pastures : registryFromRows(other.lastPlan);
+    const have = new Set([...registryIndex(pastures).keys(), ...rows.filter(r => !isGap(r)).map(r => String(r.pasture || "").trim().toLowerCase())]);
+    const estimates = new Map((other.lastPlan || []).map(r => [r.pastureId || String(r.pasture || "").trim().toLowerCase(), r]));
+    const picked = source.filter(p => p.name && !have.has(String(p.name).trim().toLowerCase()));
+    const copied = picked.map(p => ({ ...p, id: crypto.randomUUID() }));
+    const added = copied.map((p, i) => {
+      const r = estimates.get(picked[i].id) || estimates.get(String(p.name).trim().toLowerCase()) || {};
+      return newRow({ pastureId: p.id, pasture: p.name, acreage: toNum(p.acreage), estNativeADA: r.estNativeADA ?? null, estPerennialADA: r.estPerennialADA ?? null, herdId: herdFilter || null });
+    });
+    const newFeats = Object.entries(indexFeatures(other.geojson?.features).byName).filter(([k]) => !featureByPasture[k]).map(([, f]) => f);
+    if (!added.length && !newFeats.length) { alert("No new pastures to copy: every pasture there is already in this plan."); return; }
+    if (!confirm(`Add ${added.length} pasture row(s) and ${newFeats.length} map boundary(ies) from the other operation?`)) return;
+    if (copied.length) setPastures(prev => [...prev, ...copied]);
+    if (added.length) record("Copy pastures from another operation");
+    // drop the untouched blank row a new operation starts with
+    if (added.length) setRows(prev => [...prev.filter(r => !(r.pasture === "" && toNum(r.grazingDays) === 0 && toNum(r.acreage) === 0)), ...added]);
+    if (newFeats.length) {
+      const merged = indexFeatures([...allFeatures, ...newFeats]);
+      setFeatureByPasture(merged.byName);
+      setAllFeatures(merged.feats);
+      if (!saveGeoJSON(keys, { type: "FeatureCollection", features: merged.feats })) alert(GEOJSON_NOT_STORED);
+    }
+  }
+
+  // workspace backup / restore
+  const backupRef = useRef(null);
+  const [pendingRestore, setPendingRestore] = useState(null);
+
+  function exportBackup() {
+    const backup = readWorkspace();
+    downloadText(JSON.stringify(backup, null, 2), `grazing_workspace_${format(new Date(), "yyyy-MM-dd")}.json`, "application/json");
+  }
+
+  function onBackupFileChange(e) {
     const file = e.target.files?.[0];
     if (!file) return;
     const reader = new FileReader();
     reader.onload = () => {
       try {
-        const gj = JSON.parse(reader.result);
-        if (gj.type !== 'FeatureCollection' || !Array.isArray(gj.features)) {
-          alert('Please upload a GeoJSON FeatureCollection.');
-          return;
-        }
-        const pickKey = (props) => {
-          const ks = Object.keys(props || {}).map(k => [k, k.toLowerCase()]);
-          const hit = ks.find(([, lk]) => /^(pasture|name|unit|past|paddock)$/.test(lk));
-          return hit ? hit[0] : null;
-        };
-        const byName = {};
-        const feats = [];
-        for (const f of gj.features) {
-          if (!f || !f.properties) continue;
-          const key = pickKey(f.properties);
-          const raw = key ? String(f.properties[key] ?? '').trim() : '';
-          if (!raw) continue;
-          const name = raw.toLowerCase();
-          byName[name] = f;
-          feats.push(f);
-        }
-        setFeatureByPasture(byName);
-        setAllFeatures(feats);
+        const backup = JSON.parse(String(reader.result));
+        setPendingRestore({ fileName: file.name, exportedAt: backup?.exportedAt, ...migrateWorkspace(backup) });
       } catch (err) {
-        alert('GeoJSON parse error: ' + err?.message);
+        alert(`Could not read backup: ${err.message}`);
       }
     };
     reader.readAsText(file);
     e.target.value = '';
   }
 
+  function applyRestore(data) {
+    writeWorkspace(data);
+    // every panel reads its state from storage on mount, so start fresh from the restored workspace
+    window.location.reload();
+  }
+
   // drafts actions
   function handleSaveDraft() {
-    const y = (startDate && /^\d{4}/.test(startDate)) ? startDate.slice(0, 4) : String(new Date().getFullYear());
+    const y = planYear;
     const copyRows = rows.map(r => ({ ...r }));
-    const draft = { id: crypto.randomUUID(), name: "", ts: Date.now(), startDate, rows: copyRows };
+    const draft = { id: crypto.randomUUID(), name: "", ts: Date.now(), startDate, rows: copyRows, windows, herds, auClasses };
     setDraftsByYear((prev) => {
       const next = { ...prev };
       const arr = Array.isArray(next[y]) ? [...next[y]] : [];
       arr.push(draft); // order = save order
       next[y] = arr;
-      saveDrafts(next);
+      saveDrafts(keys, next);
       return next;
     });
   }
@@ -802,43 +4763,127 @@ export default function GrazingPlanner() {
     const d = arr.find(x => x.id === id);
     if (!d) return;
     if (!confirm(`Load ${year} ${d.name || ""} into the table? This will replace current rows and season start.`)) return;
+    record(`Load draft ${year} ${d.name || ""}`.trim(), { settings: true });
     setRows(d.rows.map(r => ({ ...r, id: crypto.randomUUID() }))); // new IDs for DnD
     setStartDate(d.startDate || "");
+    if (Array.isArray(d.windows)) setWindows(d.windows);
+    if (Array.isArray(d.herds) && d.herds.length) setHerds(d.herds);
+    if (Array.isArray(d.auClasses) && d.auClasses.length) setAUClasses(d.auClasses);
     setSelectedRowId(null);
   }
 
+  function handleExportDraftICS(year, id) {
+    const d = (draftsByYear[year] || []).find(x => x.id === id);
+    if (!d) return;
+    const draftHerds = Array.isArray(d.herds) && d.herds.length ? d.herds : herds;
+    const label = d.name || `Draft ${(draftsByYear[year] || []).indexOf(d) + 1}`;
+    downloadText(buildICS(resolvePastures(d.rows, pastures), { herds: draftHerds, calName: `Grazing plan ${year} – ${label}` }), `grazing_moves_${year}_${label.replace(/\W+/g, "_")}.ics`, "text/calendar;charset=utf-8");
+  }
+
+  // draft comparison; drafts are re-resolved against the registry and recomputed like a loaded draft would be
+  const [compareIds, setCompareIds] = useState(null); // { a, b, opened } source ids, null = closed
+  const compareSources = [
+    { id: "current", label: "Current table", rows, herds },
+    ...Object.keys(draftsByYear).sort((a, b) => Number(b) - Number(a)).flatMap(y => (draftsByYear[y] || []).map((d, i) => ({
+      id: d.id,
+      label: `${y} · ${d.name || `Draft ${i + 1}`}`,
+      draft: d,
+    }))),
+  ];
+  function prepareComparePlan(src) {
+    if (!src.draft) return { rows: src.rows, herds: src.herds };
+    const d = src.draft;
+    const draftHerds = Array.isArray(d.herds) && d.herds.length ? d.herds : herds;
+    const classes = Array.isArray(d.auClasses) && d.auClasses.length ? d.auClasses : auClasses;
+    return { rows: recompute(d.rows || [], d.startDate || "", draftHerds, classes, pastures), herds: draftHerds };
+  }
+  function handleCompareDraft(year, id) { setCompareIds({ a: "current", b: id, opened: Date.now() }); }
+
+  function updateDraftsOfYear(year, fn) {
+    setDraftsByYear((prev) => {
+      const next = { ...prev, [year]: fn(prev[year] || []) };
+      saveDrafts(keys, next);
+      return next;
+    });
+  }
+
+  function handleUpdateDraft(year, id, patch) {
+    if (finalByYear[year] === id) return; // final plans are locked
+    updateDraftsOfYear(year, arr => arr.map(d => (d.id === id ? { ...d, ...patch } : d)));
+  }
+
+  function handleDuplicateDraft(year, id) {
+    updateDraftsOfYear(year, arr => {
+      const idx = arr.findIndex(d => d.id === id);
+      if (idx < 0) return arr;
+      const d = arr[idx];
+      const copy = { ...d, id: crypto.randomUUID(), ts: Date.now(), name: `${d.name || `Draft ${idx + 1}`} (copy)`, rows: d.rows.map(r => ({ ...r })) };
+      return [...arr.slice(0, idx + 1), copy, ...arr.slice(idx + 1)];
+    });
+  }
+
+  function handleToggleFinal(year, id) {
+    if (finalByYear[year] === id) {
+      if (!confirm(`Unmark the final ${year} plan? It becomes an ordinary, editable draft.`)) return;
+      setFinalByYear(prev => { const next = { ...prev }; delete next[year]; return next; });
+      return;
+    }
+    if (finalByYear[year] && !confirm(`Replace the current final ${year} plan with this draft?`)) return;
+    setFinalByYear(prev => ({ ...prev, [year]: id }));
+  }
+
   function handleDeleteDraft(year, id) {
+    if (finalByYear[year] === id) { alert("This is the final plan for the year. Unmark it before deleting."); return; }
     if (!confirm("Delete this draft?")) return;
+    setCompareIds(c => (c && (c.a === id || c.b === id) ? null : c));
     setDraftsByYear((prev) => {
       const next = { ...prev };
       next[year] = (next[year] || []).filter(d => d.id !== id);
       if (next[year].length === 0) delete next[year];
-      saveDrafts(next);
+      saveDrafts(keys, next);
       return next;
     });
   }
 
+  // printable report: mounted just for the print dialog
+  const [printing, setPrinting] = useState(false);
+  useEffect(() => {
+    if (!printing) return;
+    const done = () => setPrinting(false);
+    document.body.classList.add("printing-report");
+    window.addEventListener("afterprint", done);
+    window.print();
+    return () => {
+      window.removeEventListener("afterprint", done);
+      document.body.classList.remove("printing-report");
+    };
+  }, [printing]);
+  const finalIndex = (draftsByYear[planYear] || []).findIndex(d => d.id === finalByYear[planYear]);
+  const finalDraft = finalIndex >= 0 ? draftsByYear[planYear][finalIndex] : null;
+
   /* ---------------- Render ---------------- */
   return (
-    <div className="min-h-screen bg-gray-100 text-gray-900">
+    <>
+    <div className="min-h-screen bg-gray-100 text-gray-900 screen-only">
       <div className="w-full max-w-none px-5 py-5">
         <header className="mb-4 flex flex-col gap-3 md:flex-row md:items-end md:justify-between">
           <div>
             <h1 className="text-2xl font-bold">Small Herd Grazing Planner</h1>
             <p className="text-sm text-gray-600">Reorder rows to change sequence; start/end dates update automatically. Save drafts per year on the right.</p>
+            <div className="mt-2">{operationSwitcher(copyPasturesFrom)}</div>
           </div>
           <div className="flex flex-wrap items-center gap-2 rounded-xl border border-gray-200 bg-white shadow-sm p-2">
             <label className="flex items-center gap-2 rounded-lg border border-gray-200 bg-white px-3 py-2 shadow-sm">
               <Calendar className="h-4 w-4" />
               <span className="text-sm">Season Start</span>
-              <input className="rounded border border-gray-200 p-1" type="date" value={startDate} onChange={(e) => setStartDate(toISO(e.target.value))} />
+              <input className="rounded border border-gray-200 p-1" type="date" value={startDate} onChange={(e) => { record("Change season start", { mergeKey: "startDate" }); setStartDate(toISO(e.target.value)); }} />
             </label>
 
-            <button className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50" onClick={() => handleFileUpload("estimates")} title="CSV: Pasture, EstNativeADA, EstPerennialADA">
-              Import Estimates CSV
+            <button className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50" onClick={() => handleFileUpload("estimates")} title="CSV or Excel: Pasture, EstNativeADA, EstPerennialADA">
+              Import Estimates
             </button>
-            <button className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50" onClick={() => handleFileUpload("previous")} title="CSV: Pasture, PrevPlannedADA, PrevActualADA">
-              Import Previous Season CSV
+            <button className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50" onClick={() => handleFileUpload("previous")} title="CSV or Excel: Pasture, PrevPlannedADA, PrevActualADA">
+              Import Previous Season
             </button>
 
             <button onClick={saveCurrentAsPrevPlanned} className="rounded-lg bg-indigo-600 px-3 py-2 text-black shadow hover:bg-indigo-700 text-sm">
@@ -847,16 +4892,65 @@ export default function GrazingPlanner() {
             <button onClick={exportCSV} className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50">
               <Download className="mr-1 inline h-4 w-4" /> Export CSV
             </button>
+            <button onClick={exportWorkbook} className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50" title="Plan, herds, drafts and previous season as sheets; Proposed ADA and dates are formulas">
+              <Download className="mr-1 inline h-4 w-4" /> Export Excel
+            </button>
+            <button
+              onClick={exportICS}
+              className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50"
+              title={herdFilter ? "Calendar of the herd shown in the table" : "Calendar of all herds"}
+            >
+              <Calendar className="mr-1 inline h-4 w-4" /> Export Calendar (.ics)
+            </button>
+            <button onClick={() => setPrinting(true)} className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50" title="Plan table, route map, totals, pasture notes and a crew move checklist">
+              <FileText className="mr-1 inline h-4 w-4" /> Print Report
+            </button>
+            <button onClick={exportBackup} className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50" title="Plan, drafts, previous-season history and settings as one JSON file">
+              <Download className="mr-1 inline h-4 w-4" /> Backup Workspace
+            </button>
+            <button onClick={() => backupRef.current?.click()} className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50">
+              Restore Backup…
+            </button>
           </div>
         </header>
 
+        {WORKSPACE_UPGRADE_ERROR && (
+          <div className="mb-4 rounded-xl border border-red-300 bg-red-50 p-3 text-sm text-red-800">
+            {WORKSPACE_UPGRADE_ERROR}. The planner is running on the data as stored, which may be missing newer fields; use Backup Workspace before editing.
+          </div>
+        )}
+
         {/* hidden inputs */}
-        <input ref={fileRef} type="file" accept=".csv,text/csv" className="hidden" onChange={onFileChange} />
-        <input ref={geoRef} type="file" accept=".geojson,application/geo+json,application/json" className="hidden" onChange={onGeoFileChange} />
+        <input ref={fileRef} type="file" accept=".csv,text/csv,.xlsx" className="hidden" onChange={onFileChange} />
+        <input ref={geoRef} type="file" accept=".geojson,.json,.kml,.kmz,.zip,application/geo+json,application/json,application/vnd.google-earth.kml+xml,application/vnd.google-earth.kmz,application/zip" className="hidden" onChange={onGeoFileChange} />
 
         {/* hidden inputs */}
-        <input ref={fileRef} type="file" accept=".csv,text/csv" className="hidden" onChange={onFileChange} />
-        <input ref={geoRef} type="file" accept=".geojson,application/geo+json,application/json" className="hidden" onChange={onGeoFileChange} />
+        <input ref={fileRef} type="file" accept=".csv,text/csv,.xlsx" className="hidden" onChange={onFileChange} />
+        <input ref={geoRef} type="file" accept=".geojson,.json,.kml,.kmz,.zip,application/geo+json,application/json,application/vnd.google-earth.kml+xml,application/vnd.google-earth.kmz,application/zip" className="hidden" onChange={onGeoFileChange} />
+        <input ref={backupRef} type="file" accept=".json,application/json" className="hidden" onChange={onBackupFileChange} />
+
+        <datalist id="registry-pastures">
+          {pastures.map(p => <option key={p.id} value={p.name} />)}
+        </datalist>
+
+        {pendingCSV && (
+          <CSVImportDialog
+            key={`${pendingCSV.fileName}:${pendingCSV.sheet || ""}`}
+            pending={pendingCSV}
+            onPreview={previewCSVImport}
+            onSheetChange={(sheet) => previewImport(pendingCSV.kind, pendingCSV.fileName, pendingCSV.sheets[sheet], { sheets: pendingCSV.sheets, sheet })}
+            onCancel={() => setPendingCSV(null)}
+            onImport={importPendingCSV}
+          />
+        )}
+
+        {pendingGeo && (
+          <BoundaryImportDialog pending={pendingGeo} onCancel={() => setPendingGeo(null)} onImport={importBoundaries} />
+        )}
+
+        {pendingRestore && (
+          <RestoreDialog pending={pendingRestore} onCancel={() => setPendingRestore(null)} onApply={applyRestore} />
+        )}
 
         {/* === MAIN: table (left) + map (right), no-wrap so it never drops below === */}
         <div className="overflow-x-auto">
@@ -872,8 +4966,9 @@ export default function GrazingPlanner() {
                       <tr>
                         <th className="p-2 w-8"></th>
                         <th className="p-2 w-28">Pasture</th>
+                        <th className="p-2 w-28">Herd</th>
                         <th className="p-2">Acreage</th>
-                        <th className="p-2 w-28">Herd Size</th>
+                        <th className="p-2 w-28">Herd Size (head / AU)</th>
                         <th className="p-2">Prev. Planned ADA</th>
                         <th className="p-2">Prev. Actual ADA / % Use</th>
                         <th className="p-2 w-28">Est. Introduced ADA (this yr)</th>
@@ -887,9 +4982,9 @@ export default function GrazingPlanner() {
                       </tr>
                     </thead>
 
-                    <SortableContext items={rows.map(r => r.id)} strategy={verticalListSortingStrategy}>
+                    <SortableContext items={visibleRows.map(r => r.id)} strategy={verticalListSortingStrategy}>
                       <tbody className="text-[15px] [&_input]:text-[15px] [&_td]:align-middle">
-                        {rows.map((r) => (
+                        {visibleRows.map((r) => (
                           <SortableRow
                             key={r.id}
                             row={r}
@@ -898,6 +4993,12 @@ export default function GrazingPlanner() {
                             onDuplicate={duplicateRow}
                             onSelect={setSelectedRowId}
                             isSelected={selectedRowId === r.id}
+                            restIssue={restIssues[r.id]}
+                            windows={windowsForRow(r, windows)}
+                            herds={herds}
+                            overlaps={herdOverlaps[r.id]}
+                            auClasses={auClasses}
+                            move={moves[r.id]}
                           />
                         ))}
                       </tbody>
@@ -905,7 +5006,7 @@ export default function GrazingPlanner() {
 
                     <tfoot>
                       <tr className="bg-gray-50 text-gray-700">
-                        <td colSpan={8}></td>
+                        <td colSpan={9}></td>
                         <td className="p-2 font-semibold">Total: {totals.totalDays}</td>
                         <td colSpan={5}></td>
                       </tr>
@@ -919,6 +5020,15 @@ export default function GrazingPlanner() {
                 <button className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50" onClick={addEmptyRow}>
                   <Plus className="mr-1 inline h-4 w-4" /> Add Row
                 </button>
+                <button className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50 disabled:opacity-40" onClick={() => stepPlan(-1)} disabled={!history.past.length} title="Undo (Ctrl/⌘+Z)">
+                  <Undo2 className="inline h-4 w-4" />
+                </button>
+                <button className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50 disabled:opacity-40" onClick={() => stepPlan(1)} disabled={!history.future.length} title="Redo (Ctrl/⌘+Shift+Z)">
+                  <Redo2 className="inline h-4 w-4" />
+                </button>
+                <button className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50" onClick={addGapRow} title="Lease, hay feeding or other days off the listed pastures">
+                  <Plus className="mr-1 inline h-4 w-4" /> Add Off-Pasture Gap
+                </button>
                 <button className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50" onClick={copySelectedRow} disabled={!selectedRowId} title="Click a row, then copy">
                   <CopyIcon className="mr-1 inline h-4 w-4" /> Copy Selected Row
                 </button>
@@ -926,9 +5036,72 @@ export default function GrazingPlanner() {
                   <Trash2 className="mr-1 inline h-4 w-4" /> Clear Table
                 </button>
                 <button className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50" onClick={restoreDefaults}>
-                  Restore Default Pastures
+                  Reset to Registry Pastures
                 </button>
+                <label className="flex items-center gap-2 text-sm">
+                  Show
+                  <select className="rounded border border-gray-200 p-1" value={herdFilter} onChange={(e) => setHerdFilter(e.target.value)}>
+                    <option value="">All herds</option>
+                    {herds.map(h => <option key={h.id} value={h.id}>{h.name}</option>)}
+                  </select>
+                </label>
               </div>
+
+              <TimelinePanel
+                rows={rows}
+                herds={herds}
+                windows={windows}
+                startDate={startDate}
+                selectedRowId={selectedRowId}
+                onSelect={setSelectedRowId}
+                onChangeDays={(id, days) => updateRow(id, { grazingDays: days })}
+                onReorder={(ids) => applyRowOrder(ids, "Reorder on timeline")}
+              />
+
+              <HistoryPanel history={history} onStep={stepPlan} />
+
+              <HerdsPanel herds={herds} onChange={setHerds} rows={rows} startDate={startDate} />
+
+              <PastureRegistryPanel
+                pastures={pastures}
+                onChange={setPastures}
+                rows={rows}
+                featureByPasture={featureByPasture}
+                onAddToPlan={(p) => addPastureRow(p.name)}
+              />
+
+              <NameReconciliationPanel
+                items={reconcileItems}
+                pastures={pastures}
+                onLink={linkNames}
+                onRegister={registerName}
+                onDismiss={dismissName}
+              />
+
+              <ActualUsePanel rows={rows} onChange={updateRow} onCloseSeason={closeSeason} />
+
+              <AnimalUnitsPanel auClasses={auClasses} onChange={setAUClasses} onRemove={removeAUClass} />
+
+              <ForageBudgetPanel
+                rows={rows}
+                budget={budget}
+                onBudgetChange={setBudget}
+                onApply={applySuggestedDays}
+                startDate={startDate}
+                herds={herds}
+              />
+
+              <CriticalWindowsPanel windows={windows} onChange={setWindows} />
+
+              <RestPeriodPanel
+                rows={rows}
+                startDate={startDate}
+                rules={restRules}
+                onRulesChange={setRestRules}
+                issues={restIssues}
+                onApplyOrder={(ids) => applyRowOrder(ids, "Apply rest-period order")}
+                herds={herds}
+              />
             </div>
 
             {/* RIGHT COLUMN — Map + Drafts */}
@@ -938,31 +5111,84 @@ export default function GrazingPlanner() {
                   <button
                     className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50"
                     onClick={handleGeoUploadClick}
+                    title="GeoJSON, KML, KMZ or a zipped Shapefile"
                   >
-                    Import Pasture GeoJSON
+                    Import Pasture Boundaries
                   </button>
-                  <StaticMapExportButtons svgRef={svgRef} />
+                  {mapMode === "static" && <StaticMapExportButtons svgRef={svgRef} />}
+                  <button className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50" onClick={() => exportPlanGIS("geojson")} title="Pasture stays with dates, days, herd size and ADA, plus route lines">
+                    Export GeoJSON
+                  </button>
+                  <button className="rounded-lg bg-white px-3 py-2 shadow border border-gray-200 text-sm hover:bg-gray-50" onClick={() => exportPlanGIS("kml")} title="Same as GeoJSON, for Google Earth and field map apps">
+                    Export KML
+                  </button>
+                  <span className="inline-flex rounded-lg border border-gray-200 bg-white shadow text-sm overflow-hidden">
+                    <button className={`px-3 py-2 ${mapMode === "static" ? "bg-gray-100 font-semibold" : "hover:bg-gray-50"}`} onClick={() => setMapMode("static")}>Static</button>
+                    <button className={`px-3 py-2 ${mapMode === "interactive" ? "bg-gray-100 font-semibold" : "hover:bg-gray-50"}`} onClick={() => setMapMode("interactive")}>Interactive</button>
+                  </span>
+                  <label className="inline-flex items-center gap-1 text-sm" title="Colour the static map by a per-pasture measure">
+                    Theme
+                    <select className="rounded-lg border border-gray-200 bg-white px-2 py-2 shadow text-sm" value={mapTheme} onChange={(e) => setMapTheme(e.target.value)} disabled={mapMode !== "static"}>
+                      {Object.entries(MAP_THEMES).map(([k, t]) => <option key={k} value={k}>{t.label}</option>)}
+                    </select>
+                  </label>
                   <div className="ml-auto text-xs text-gray-600">
                     Total Projected Days: <span className="font-semibold">{totals.totalDays}</span>
                   </div>
                 </div>
 
                 <div className="h-[80vh] w-full bg-slate-50 overflow-hidden">
-                  <StaticMap
-                    rows={rows}
-                    featureByPasture={featureByPasture}
-                    allFeatures={allFeatures}
-                    svgRef={svgRef}
-                  />
+                  {mapMode === "interactive" ? (
+                    <PastureMap
+                      rows={rows}
+                      allFeatures={allFeatures}
+                      featureByPasture={linkedFeatures}
+                      selectedRowId={selectedRowId}
+                      onSelectRow={setSelectedRowId}
+                      onAddPasture={addPastureRow}
+                      onReorder={(ids) => applyRowOrder(ids, "Reorder on map")}
+                      herds={herds}
+                      moves={moves}
+                    />
+                  ) : (
+                    <StaticMap
+                      rows={rows}
+                      featureByPasture={linkedFeatures}
+                      allFeatures={allFeatures}
+                      svgRef={svgRef}
+                      herds={herds}
+                      moves={moves}
+                      theme={mapTheme}
+                      windows={windows}
+                    />
+                  )}
                 </div>
               </div>
 
+              <AcreageComparePanel rows={rows} featureByPasture={linkedFeatures} onAccept={setPastureAcreage} />
+
+              <AdjacencyPanel
+                rows={rows}
+                moves={moves}
+                tolerance={adjTolerance}
+                onToleranceChange={setAdjTolerance}
+                onSuggest={suggestOrderByAdjacency}
+                onApplyOrder={(ids) => applyRowOrder(ids, "Apply adjacency order")}
+                hasMap={allFeatures.length > 0}
+              />
+
               <div className="mt-4">
                 <DraftsSidebar
                   draftsByYear={draftsByYear}
+                  finalByYear={finalByYear}
+                  onUpdateDraft={handleUpdateDraft}
+                  onDuplicateDraft={handleDuplicateDraft}
+                  onToggleFinal={handleToggleFinal}
                   onSaveDraft={handleSaveDraft}
                   onLoadDraft={handleLoadDraft}
                   onDeleteDraft={handleDeleteDraft}
+                  onExportDraftICS={handleExportDraftICS}
+                  onCompareDraft={handleCompareDraft}
                 />
               </div>
             </div>
@@ -970,15 +5196,68 @@ export default function GrazingPlanner() {
         </div>
 
 
+        {compareIds && (
+          <DraftComparePanel
+            sources={compareSources}
+            ids={compareIds}
+            onIdsChange={setCompareIds}
+            onClose={() => setCompareIds(null)}
+            preparePlan={prepareComparePlan}
+            featureByPasture={linkedFeatures}
+            allFeatures={allFeatures}
+            adjacency={adjacency}
+          />
+        )}
+
         <footer className="mt-8 text-xs text-gray-500">
           <ul className="list-disc ml-5 space-y-1">
-            <li><b>Proposed ADA</b> = (Projected Grazing Days × Herd Size) ÷ Acreage.</li>
-            <li>Reordering rows recomputes sequential <b>Projected Start</b> and <b>Projected End</b>.</li>
-            <li>Use <b>Save plan → Prev Planned</b> to store this plan's ADA as next season's <b>Previous Season Planned ADA</b>.</li>
+            <li><b>Proposed ADA</b> = (Projected Grazing Days × Animal Units) ÷ Acreage, i.e. AU-days per acre. Without a class breakdown each head counts as 1 AU.</li>
+            <li>Each <b>herd</b> follows its own rows in table order from its own season start; the same pasture used by two herds on overlapping dates is flagged.</li>
+            <li><b>Import Pasture Boundaries</b> reads GeoJSON, KML/KMZ or a zipped Shapefile in the browser, reprojects projected coordinates to WGS84, and lists which features were kept or skipped with a choice of name field.</li>
+            <li><b>Print Report</b> prints the plan with critical-window shading, the route map, totals, pasture notes and a crew move checklist with sign-off columns (choose "Save as PDF" for a file).</li>
+            <li><b>Compare</b> on a draft sets it beside the current table (or any other draft): sequence, days, ADA and start-date shifts per pasture, season totals and both route maps.</li>
+            <li><b>Undo / Redo</b> (Ctrl/⌘+Z, Ctrl/⌘+Shift+Z) covers table edits, reorders, deletes, CSV imports and draft loads; the History panel jumps several steps at once.</li>
+            <li><b>Export GeoJSON / KML</b> writes one boundary feature per pasture stay (sequence, start/end, grazing days, herd size, AUs, ADA) plus each herd's route line, for GIS and offline field map apps.</li>
+            <li><b>Map themes</b> colour the static map by proposed ADA, utilization of estimated ADA, previous actual ADA, days since last grazed or critical-window use, with a legend that is kept in SVG/PNG exports and the printed report.</li>
+            <li><b>Excel</b>: Export Excel writes Plan, Herds, Drafts and Previous season sheets with live formulas for Proposed ADA and dates; the Import Estimates / Previous Season buttons also read .xlsx sheets.</li>
+            <li><b>CSV imports</b> open a preview first: fix the detected column mapping, review old → new values, skipped rows and non-numeric cells. The mapping is remembered for files with the same columns.</li>
+            <li><b>Name Reconciliation</b> lists names from plan rows, the estimates CSV, previous-season history and map features that match no registry pasture, proposes fuzzy matches ("Pasture 1" → "1", "UA E" → "UA-E") and saves them as aliases.</li>
+            <li><b>Pasture Registry</b> holds each pasture's name, aliases, acreage, forage, water, fences and map feature once; linked plan rows and loaded drafts follow it.</li>
+            <li><b>Operations</b> keep separate pastures, drafts, previous-season history and map boundaries; switch them under the title, and copy pastures from one into another.</li>
+            <li><b>Backup Workspace</b> saves the plan, all drafts, previous-season history and settings to one JSON file; <b>Restore Backup…</b> previews it and lets you merge or replace. Older backups are upgraded on restore.</li>
+            <li><b>Pin</b> a start date to fix it; earlier stays that run past the pin are flagged and idle days before it show as a gap. <b>Off-pasture gaps</b> take days in the herd's schedule without any ADA.</li>
+            <li>Reordering rows recomputes sequential <b>Projected Start</b> and <b>Projected End</b>; dates inside a <b>Critical Window</b> take that window's colour.</li>
+            <li>Use <b>Save plan → Prev Planned</b> to store this season's planned ADA as next season's <b>Previous Season Planned ADA</b>. When a draft is marked <b>final</b> for the year, its ADA is used instead of the table; final drafts are locked until unmarked.</li>
+            <li>Record real in/out dates and head counts under <b>Actual Use</b>; <b>Close Season</b> writes planned and actual ADA per pasture into the previous-season values.</li>
             <li>Import estimated ADA (Native/Perennial) via CSV matched on pasture name.</li>
+            <li><b>Export Calendar</b> writes one event per pasture stay and a move-day event per transition (only the herd shown when the table is filtered); drafts export from the sidebar.</li>
+            <li>The <b>Season Timeline</b> draws every stay on one date axis with the critical windows and gaps; it prints and exports like the map.</li>
+            <li><b>Mapped Acreage</b> compares entered acreage with the uploaded GeoJSON polygons (holes excluded) so changes can be accepted pasture by pasture.</li>
+            <li><b>Adjacent Moves</b> flags moves between pastures that don't touch (within the set distance) and can suggest an order with the shortest trail.</li>
+            <li>On the <b>Interactive</b> map, click a pasture to select its row (or add it), click pastures in order to set the sequence, or drag a numbered stop onto another stop to move it.</li>
+            <li><b>Forage Budget</b> suggests grazing days so Proposed ADA stays at the target utilization of Est. Native + Est. Introduced ADA.</li>
+            <li><b>Rest Periods</b> flags a pasture that returns before its minimum recovery days and can propose an order that meets them.</li>
           </ul>
         </footer>
       </div>
     </div>
+
+    {printing && (
+      <SeasonReport
+        title={`${operationName ? `${operationName} – ` : ""}Grazing plan ${planYear}`}
+        rows={rows}
+        herds={herds}
+        windows={windows}
+        pastures={pastures}
+        totals={totals}
+        startDate={startDate}
+        finalLabel={finalDraft ? `current table (final plan "${finalDraft.name || `Draft ${finalIndex + 1}`}" exists)` : ""}
+        featureByPasture={linkedFeatures}
+        allFeatures={allFeatures}
+        moves={moves}
+        theme={mapTheme}
+      />
+    )}
+    </>
   );
 }